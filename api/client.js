@@ -1,11 +1,59 @@
+// Prints a /v2/script/run result ({ output, error, timeMs }) to the console
+// (a single run-result event in --json mode, whose output is null when the script set none)
+async function printRunResult(result) {
+  if (isJson()) {
+    emit('run-result', { output: result.output ?? null, error: result.error, timeMs: result.timeMs });
+    return;
+  }
+  let chalk;
+  try {
+    chalk = await import('chalk');
+  } catch {
+    chalk = null;
+  }
+
+  const gray = (str) => chalk ? chalk.default.gray(str) : str;
+  const green = (str) => chalk ? chalk.default.green(str) : str;
+  const red = (str) => chalk ? chalk.default.red(str) : str;
+  // Errors block - simplified
+  if (result.error) {
+    console.log(`\n${red('[DONE WITH ERRORS]')}\n`);
+    console.error(red(result.error?.error || result.error));
+  }
+  // Output block - only show if not empty
+  if (result.output !== undefined && !_.isEmpty(result.output)) {
+    console.log(`\n${green('[OUTPUT] ' + '-'.repeat(60))}\n`);
+    console.dir(result.output, { depth: null, colors: true });
+  }
+  // Execution time
+  if (result.timeMs !== undefined) {
+    console.log(`\n${gray('Execution time: ' + result.timeMs + ' ms')}`);
+  }
+}
+
 // GET /v2/script/run with body { scriptId: scriptCode }
-async function runScript(domain, apiKey, scriptCode) {
+// Optional event ({ eventName, eventData }) comes from an events/ fixture: ApiRun fixtures
+// are sent as the request query/body, other events are sent as eventName/eventData
+async function runScript(domain, apiKey, scriptCode, event) {
   const url = `https://${domain}/v2/script/run`;
+  let data = {};
+  let params;
+  if (event && event.eventName === 'ApiRun') {
+    params = event.eventData.query;
+    data = { ...event.eventData.body };
+  } else if (event) {
+    data.eventName = event.eventName;
+    data.eventData = event.eventData;
+  }
+  // Set last so a fixture body with its own scriptId cannot run another script
+  data.scriptId = scriptCode;
+  emit('run-start', { domain, scriptCode, eventName: event ? event.eventName : 'ApiRun' });
   try {
     const response = await axios({
       method: 'get',
       url,
-      data: { scriptId: scriptCode },
+      params,
+      data,
       headers: {
         'Authorization': `Bearer ${apiKey}`,
         'Content-Type': 'application/json',
@@ -18,35 +66,16 @@ async function runScript(domain, apiKey, scriptCode) {
     // Wait a bit for socket logs to arrive before showing results
     await new Promise(resolve => setTimeout(resolve, 500));
     
-    let chalk;
-    try {
-      chalk = await import('chalk');
-    } catch {
-      chalk = null;
-    }
-
-    const gray = (str) => chalk ? chalk.default.gray(str) : str;
-    const green = (str) => chalk ? chalk.default.green(str) : str;
-    const red = (str) => chalk ? chalk.default.red(str) : str;
-    // Errors block - simplified
-    if (result.error) {
-      console.log(`\n${red('[DONE WITH ERRORS]')}\n`);
-      console.error(red(result.error?.error || result.error));
-    }
-    // Output block - only show if not empty
-    if (result.output !== undefined && !_.isEmpty(result.output)) {
-      console.log(`\n${green('[OUTPUT] ' + '-'.repeat(60))}\n`);
-      console.dir(result.output, { depth: null, colors: true });
-    }
-    // Execution time
-    if (result.timeMs !== undefined) {
-      console.log(`\n${gray('Execution time: ' + result.timeMs + ' ms')}`);
-    }
+    await printRunResult(result);
     // Message to rerun script
-    console.log(gray('Press [R] to run the script again (No build/upload)'));
+    if (!isJson()) {
+      const chalk = (await import('chalk')).default;
+      console.log(chalk.gray('Press [R] to run the script again (No build/upload)'));
+    }
     return result;
   } catch (err) {
     console.error(`Failed to run script ${scriptCode}:`, err.response?.data || err.message);
+    emit('run-result', { scriptCode, output: null, error: err.response?.data || err.message, timeMs: null });
   }
 }
 // POST initial script document to /v2/script
@@ -74,6 +103,7 @@ async function createScriptDoc(domain, apiKey, scriptCode, scriptName, code, ext
 }
 const axios = require('axios');
 const _ = require('lodash');
+const { isJson, emit } = require('../cli/output');
 
 /**
  * Check if script exists, create if not
@@ -133,7 +163,59 @@ async function ensureScriptExists(domain, apiKey, scriptCode) {
   }
 }
 
-// PATCH field to /v2/script/{scriptCode}
+/**
+ * Fetch a script document
+ * @param {string} domain - Domain (e.g., 'dev11.prolibu.com')
+ * @param {string} apiKey - API key for authentication
+ * @param {string} scriptCode - Script code (e.g., 'deal-report-dev')
+ * @returns {Promise<Object|null>} Script document, or null if not found or the request failed
+ */
+async function getScript(domain, apiKey, scriptCode) {
+  const url = `https://${domain}/v2/script/${scriptCode}`;
+  try {
+    const response = await axios.get(url, {
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'Accept': 'application/json',
+      },
+    });
+    return response.data;
+  } catch (err) {
+    if (err.response?.status !== 404) {
+      console.error(`Failed to GET script ${scriptCode}:`, err.response?.data || err.message);
+    }
+    return null;
+  }
+}
+
+/**
+ * Search log documents (GET /v2/log/search)
+ * @param {string} domain - Domain (e.g., 'dev11.prolibu.com')
+ * @param {string} apiKey - API key for authentication
+ * @param {string} term - Search term, matched against logCode and message
+ * @param {Object} [query] - { xquery, page, limit, sort } (xquery as an object)
+ * @returns {Promise<Object|null>} { docs, pagination }, or null if the request failed
+ */
+async function searchLogs(domain, apiKey, term, query = {}) {
+  const url = `https://${domain}/v2/log/search`;
+  const params = { ...query, term };
+  if (params.xquery) params.xquery = JSON.stringify(params.xquery);
+  try {
+    const response = await axios.get(url, {
+      params,
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'Accept': 'application/json',
+      },
+    });
+    return response.data;
+  } catch (err) {
+    console.error(`Failed to search logs for '${term}':`, err.response?.data || err.message);
+    return null;
+  }
+}
+
+// PATCH field to /v2/script/{scriptCode}; resolves to false when the request failed
 async function patchScript(domain, apiKey, scriptCode, value, field) {
   const url = `https://${domain}/v2/script/${scriptCode}`;
   try {
@@ -144,15 +226,144 @@ async function patchScript(domain, apiKey, scriptCode, value, field) {
         'Accept': 'application/json',
       },
     });
-    // Success
+    emit('upload', { domain, scriptCode, field, ok: true });
+    return true;
   } catch (err) {
     console.error(`Failed to PATCH ${field} for ${scriptCode}:`, err.response?.data || err.message);
+    emit('upload', { domain, scriptCode, field, ok: false, error: err.response?.data || err.message });
+    return false;
+  }
+}
+
+/**
+ * Fetch an endpoint document
+ * @param {string} domain - Domain (e.g., 'dev11.prolibu.com')
+ * @param {string} apiKey - API key for authentication
+ * @param {string} endpointCode - Endpoint code (e.g., 'webhook-receiver-prod-post-webhook')
+ * @returns {Promise<Object|null>} Endpoint document, or null if not found or the request failed
+ */
+async function getEndpoint(domain, apiKey, endpointCode) {
+  const url = `https://${domain}/v2/endpoint/${endpointCode}`;
+  try {
+    const response = await axios.get(url, {
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'Accept': 'application/json',
+      },
+    });
+    return response.data;
+  } catch (err) {
+    if (err.response?.status !== 404) {
+      console.error(`Failed to GET endpoint ${endpointCode}:`, err.response?.data || err.message);
+    }
+    return null;
+  }
+}
+
+/**
+ * Find endpoint documents (GET /v2/endpoint/)
+ * @param {string} domain - Domain (e.g., 'dev11.prolibu.com')
+ * @param {string} apiKey - API key for authentication
+ * @param {Object} query - Filters such as { script, routeName, method }
+ * @returns {Promise<Array<Object>|null>} Matching endpoints, or null if the request failed
+ */
+async function findEndpoints(domain, apiKey, query) {
+  const url = `https://${domain}/v2/endpoint/`;
+  try {
+    const response = await axios.get(url, {
+      params: { limit: 100, ...query },
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'Accept': 'application/json',
+      },
+    });
+    return response.data.docs || [];
+  } catch (err) {
+    console.error('Failed to find endpoints:', err.response?.data || err.message);
+    return null;
   }
 }
 
+// POST an endpoint document to /v2/endpoint/; resolves to false when the request failed
+async function createEndpoint(domain, apiKey, endpoint) {
+  const url = `https://${domain}/v2/endpoint/`;
+  try {
+    await axios.post(url, endpoint, {
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+      },
+    });
+    emit('endpoint', { domain, endpointCode: endpoint.endpointCode, action: 'create', ok: true });
+    return true;
+  } catch (err) {
+    console.error(`Failed to create endpoint ${endpoint.endpointCode}:`, err.response?.data || err.message);
+    emit('endpoint', { domain, endpointCode: endpoint.endpointCode, action: 'create', ok: false, error: err.response?.data || err.message });
+    return false;
+  }
+}
+
+// PATCH changed fields to /v2/endpoint/{endpointCode}; resolves to false when the request failed
+async function patchEndpoint(domain, apiKey, endpointCode, changes) {
+  const url = `https://${domain}/v2/endpoint/${endpointCode}`;
+  try {
+    await axios.patch(url, changes, {
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+      },
+    });
+    emit('endpoint', { domain, endpointCode, action: 'update', fields: Object.keys(changes), ok: true });
+    return true;
+  } catch (err) {
+    console.error(`Failed to PATCH endpoint ${endpointCode}:`, err.response?.data || err.message);
+    emit('endpoint', { domain, endpointCode, action: 'update', fields: Object.keys(changes), ok: false, error: err.response?.data || err.message });
+    return false;
+  }
+}
+
+/**
+ * Calls a custom endpoint (/v2/endpoint/{method}/{routeName}). HTTP error statuses resolve
+ * like any other response, since they are usually what the script answered
+ * @param {string} domain - Domain (e.g., 'dev11.prolibu.com')
+ * @param {string|null} apiKey - Sent as Bearer token when given
+ * @param {string} method - GET, POST, PUT or DELETE
+ * @param {string} routeName - Route, e.g. 'salesforce/webhook'
+ * @param {Object} [body] - JSON body, sent as the query string for GET
+ * @returns {Promise<{ status: number, data: *, timeMs: number }>}
+ * @throws {Error} If no response was received
+ */
+async function callEndpoint(domain, apiKey, method, routeName, body) {
+  const url = `https://${domain}/v2/endpoint/${method.toLowerCase()}/${routeName}`;
+  const startedAt = Date.now();
+  const response = await axios({
+    method: method.toLowerCase(),
+    url,
+    params: method === 'GET' ? body : undefined,
+    data: method === 'GET' ? undefined : body,
+    headers: {
+      ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+      'Content-Type': 'application/json',
+      'Accept': 'application/json',
+    },
+    validateStatus: () => true,
+  });
+  return { status: response.status, data: response.data, timeMs: Date.now() - startedAt };
+}
+
 module.exports = {
   ensureScriptExists,
+  getScript,
+  searchLogs,
   patchScript,
   createScriptDoc,
   runScript,
+  printRunResult,
+  getEndpoint,
+  findEndpoints,
+  createEndpoint,
+  patchEndpoint,
+  callEndpoint,
 };
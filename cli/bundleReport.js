@@ -0,0 +1,158 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 * 1024 };
+
+/**
+ * Parses a size budget from script.json: a byte count (250000) or a string with a unit ("250kb", "1.5mb")
+ * @param {number|string} value - build.sizeBudget from script.json
+ * @returns {number} Bytes
+ * @throws {Error} If the value is not a positive size
+ */
+function parseSize(value) {
+  if (typeof value === 'number' && value > 0) return value;
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(b|kb|mb)?\s*$/i.exec(String(value));
+  if (!match || Number(match[1]) <= 0) {
+    throw new Error(`Invalid sizeBudget '${value}' in script.json. Use bytes or a size such as '250kb' or '1.5mb'.`);
+  }
+  return Math.round(Number(match[1]) * SIZE_UNITS[(match[2] || 'b').toLowerCase()]);
+}
+
+// 1536 -> "1.5 KB"
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+}
+
+// Package an input belongs to: "node_modules/@scope/pkg/lib/x.js" -> "node_modules/@scope/pkg"
+// (the last node_modules segment wins, so nested copies get their own path)
+function getPackagePath(input) {
+  const parts = input.split('/');
+  const index = parts.lastIndexOf('node_modules');
+  if (index === -1 || index === parts.length - 1) return null;
+  const length = parts[index + 1].startsWith('@') ? 3 : 2;
+  return parts.slice(0, index + length).join('/');
+}
+
+// Nearest folder with a README.md between the input and the repository root, so
+// lib/vendors/hubspot/maps/DealMap.js groups under lib/vendors/hubspot
+function getVendorModulePath(input, rootDir) {
+  let dir = path.dirname(input);
+  while (dir && dir !== '.' && dir !== path.dirname(dir)) {
+    if (fs.existsSync(path.join(rootDir, dir, 'README.md'))) return dir;
+    dir = path.dirname(dir);
+  }
+  return null;
+}
+
+/**
+ * Groups the bundle's inputs into modules and sums the bytes each one adds to the output.
+ * A module is an npm package, a folder with a README.md outside the script (lib/vendors/*),
+ * or a single file (the script's own files are always listed one by one)
+ * @param {Object} metafile - esbuild metafile
+ * @param {Object} options
+ * @param {string} options.scriptFolder - accounts/<domain>/<scriptPrefix>, relative to rootDir
+ * @param {string} [options.rootDir=process.cwd()] - Directory esbuild resolved the inputs from
+ * @returns {{ totalBytes: number, modules: Array<Object> }} modules as
+ * { module, kind: 'package' | 'vendor' | 'script' | 'file' | 'runtime', bytes, files: [{ input, bytes }] }, largest first
+ */
+function summarizeModules(metafile, { scriptFolder, rootDir = process.cwd() }) {
+  const [output] = Object.values(metafile.outputs).filter(out => out.inputs);
+  const scriptDir = `${scriptFolder.split(path.sep).join('/')}/`;
+  const modules = new Map();
+  for (const [input, { bytesInOutput }] of Object.entries(output.inputs)) {
+    let module;
+    let kind;
+    const packagePath = getPackagePath(input);
+    if (packagePath) {
+      module = packagePath;
+      kind = 'package';
+    } else if (input.startsWith(scriptDir)) {
+      module = input.slice(scriptDir.length);
+      kind = 'script';
+    } else {
+      const vendorPath = getVendorModulePath(input, rootDir);
+      module = vendorPath || input;
+      kind = vendorPath ? 'vendor' : 'file';
+    }
+    if (!modules.has(module)) modules.set(module, { module, kind, bytes: 0, files: [] });
+    const entry = modules.get(module);
+    entry.bytes += bytesInOutput;
+    entry.files.push({ input, bytes: bytesInOutput });
+  }
+  // What is left is esbuild's own code: the require/export helpers wrapping each module
+  const runtimeBytes = output.bytes - [...modules.values()].reduce((sum, m) => sum + m.bytes, 0);
+  if (runtimeBytes > 0) {
+    modules.set('(esbuild runtime)', { module: '(esbuild runtime)', kind: 'runtime', bytes: runtimeBytes, files: [] });
+  }
+  return {
+    totalBytes: output.bytes,
+    modules: [...modules.values()].sort((a, b) => b.bytes - a.bytes),
+  };
+}
+
+// Hash of a bundled file's content, or null when it cannot be read (e.g. esbuild virtual modules)
+function hashInput(input, rootDir) {
+  try {
+    return crypto.createHash('sha256').update(fs.readFileSync(path.join(rootDir, input))).digest('hex');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Finds code bundled more than once: packages or vendor folders with the same name at different
+ * paths (lib/vendors/deepseek and lib/vendors/ai/deepseek, two lodash copies), and identical files
+ * @param {Array<Object>} modules - modules from summarizeModules()
+ * @param {Object} [options]
+ * @param {string} [options.rootDir=process.cwd()] - Directory esbuild resolved the inputs from
+ * @returns {Array<{ name: string, reason: 'name' | 'content', paths: Array<string>, bytes: number }>}
+ */
+function findDuplicateModules(modules, { rootDir = process.cwd() } = {}) {
+  const duplicates = [];
+
+  const byName = new Map();
+  for (const entry of modules.filter(m => m.kind === 'package' || m.kind === 'vendor')) {
+    const name = entry.kind === 'package'
+      ? entry.module.slice(entry.module.lastIndexOf('node_modules/') + 'node_modules/'.length)
+      : path.basename(entry.module).toLowerCase();
+    if (!byName.has(name)) byName.set(name, []);
+    byName.get(name).push(entry);
+  }
+  for (const [name, entries] of byName) {
+    if (entries.length < 2) continue;
+    duplicates.push({
+      name,
+      reason: 'name',
+      paths: entries.map(e => e.module),
+      bytes: entries.reduce((sum, e) => sum + e.bytes, 0),
+    });
+  }
+
+  const byHash = new Map();
+  for (const file of modules.flatMap(m => m.files)) {
+    const hash = hashInput(file.input, rootDir);
+    if (!hash) continue;
+    if (!byHash.has(hash)) byHash.set(hash, []);
+    byHash.get(hash).push(file);
+  }
+  for (const files of byHash.values()) {
+    if (files.length < 2) continue;
+    duplicates.push({
+      name: path.basename(files[0].input),
+      reason: 'content',
+      paths: files.map(f => f.input),
+      bytes: files.reduce((sum, f) => sum + f.bytes, 0),
+    });
+  }
+  return duplicates;
+}
+
+module.exports = {
+  parseSize,
+  formatBytes,
+  summarizeModules,
+  findDuplicateModules,
+};
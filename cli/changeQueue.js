@@ -0,0 +1,100 @@
+const { hashContent } = require('./snapshots');
+
+// Time without new file events before a batch of changes is processed
+const DEFAULT_DEBOUNCE_MS = 300;
+
+// Keeps the latest event per file so a batch lists every file once
+function dedupeChanges(changes) {
+  const byFile = new Map();
+  for (const change of changes) {
+    byFile.delete(change.filePath);
+    byFile.set(change.filePath, change);
+  }
+  return [...byFile.values()];
+}
+
+/**
+ * Creates the watch mode change queue. Changes pushed within debounceMs of each other form one
+ * batch. Batches are processed one at a time; when new changes settle while a batch is still
+ * being processed, that batch is aborted (signal.aborted) and its changes are merged into the next.
+ * @param {Function} processBatch - async (changes, signal) => void, changes as [{ kind, filePath, changeType }]
+ * @param {Object} [options]
+ * @param {number} [options.debounceMs=300] - Quiet period before a batch is processed
+ * @param {Function} [options.onAbort] - Called when the batch in progress is aborted, e.g. to cancel a build
+ * @returns {{ push: Function }} push({ kind, filePath, changeType }) queues one file event
+ */
+function createChangeQueue(processBatch, { debounceMs = DEFAULT_DEBOUNCE_MS, onAbort } = {}) {
+  let pending = [];
+  let timer = null;
+  let current = null;
+  let running = null;
+
+  const drain = async () => {
+    while (pending.length) {
+      const changes = dedupeChanges(pending);
+      pending = [];
+      const controller = new AbortController();
+      current = controller;
+      try {
+        await processBatch(changes, controller.signal);
+      } catch (err) {
+        console.error(`[ERROR] ${err.message}`);
+      }
+      current = null;
+      // An aborted batch did not finish, so its changes are retried with the newer ones
+      if (controller.signal.aborted) pending = dedupeChanges([...changes, ...pending]);
+    }
+    running = null;
+  };
+
+  const flush = () => {
+    timer = null;
+    if (current) {
+      current.abort();
+      if (onAbort) onAbort();
+    }
+    if (!running) running = drain();
+  };
+
+  return {
+    push(change) {
+      pending.push(change);
+      clearTimeout(timer);
+      timer = setTimeout(flush, debounceMs);
+    },
+  };
+}
+
+/**
+ * Remembers the hash of the last value uploaded per field so unchanged fields are skipped. A watch
+ * batch stages the hashes of what it uploads and commits them only once it has archived and run
+ * the upload: when a newer batch aborts it, the retry uploads those fields again instead of
+ * skipping them as unchanged, and so still archives and runs them.
+ * @param {Function} send - async (field, value) => void, throws when the upload fails
+ * @returns {{ upload: Function, has: Function, batch: Function }} upload(field, value) counts at
+ * once (initial sync), has(field) tells whether a field was ever uploaded, batch() returns
+ * { upload, commit } for one watch batch. Every upload resolves to false when skipped
+ */
+function createUploadTracker(send) {
+  const uploaded = {};
+  const upload = async (field, value, staged) => {
+    const hash = hashContent(value);
+    if (uploaded[field] === hash) return false;
+    await send(field, value);
+    staged[field] = hash;
+    return true;
+  };
+  return {
+    upload: (field, value) => upload(field, value, uploaded),
+    has: field => field in uploaded,
+    batch() {
+      const staged = {};
+      return {
+        upload: (field, value) => upload(field, value, staged),
+        commit: () => Object.assign(uploaded, staged),
+      };
+    },
+  };
+}
+
+module.exports = { DEFAULT_DEBOUNCE_MS, createChangeQueue, createUploadTracker };
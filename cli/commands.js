@@ -2,14 +2,244 @@ const apiClient = require('../api/client');
 const config = require('../config/config');
 const path = require('path');
 const fs = require('fs');
+const axios = require('axios');
+const { handleAxiosError } = require('../lib/vendors/prolibu/utils');
 const { bundleScript } = require('./bundle');
+const { warnIfHookNotRegistered } = require('./events');
+const { hashContent, recordSnapshot, listSnapshots, loadSnapshot } = require('./snapshots');
+const { createChangeQueue, createUploadTracker } = require('./changeQueue');
+const {
+  mergeVariables,
+  loadVariables,
+  getVariableLayers,
+  SECRET_VARIABLES_FILE,
+  findRequiredVariables,
+  findMissingVariables,
+  ensureSecretsIgnored,
+  readVariablesFile,
+} = require('./variables');
+const { decryptVariables } = require('./secrets');
+const { MANIFEST_FILE, loadManifest, migrateManifest, writeManifest, updateManifest, resolveEnvironment } = require('./manifest');
+const { DEFAULT_TIMEZONE, nextRuns, scheduleToScript, scheduleFromScript } = require('./schedule');
+const { ENDPOINT_METHODS, getEndpointUrl, syncEndpoints, findEndpoint } = require('./endpoints');
+const {
+  LEVELS,
+  getRunLogsDir,
+  startRunLog,
+  recordRunResult,
+  readRunLog,
+  listRunLogs,
+  filterRecords,
+} = require('./runLogs');
+const { ask, isInteractive } = require('./prompts');
+const { isJson, emit } = require('./output');
 
 
+// Reads build and git settings from accounts/<domain>/<scriptPrefix>/script.json
+function readScriptConfig(domain, scriptPrefix) {
+  const { build = {}, git = {} } = readManifest(path.join(process.cwd(), 'accounts', domain, scriptPrefix));
+  return {
+    minifyProductionCode: !!build.minifyProductionCode,
+    removeComments: !!build.removeComments,
+    gitRepositoryUrl: git.repositoryUrl || '',
+    sizeBudget: build.sizeBudget ?? null,
+    check: build.check || {},
+  };
+}
+
+// Loads script.json (or the legacy files it replaces), exiting when it is invalid
+function readManifest(scriptFolder) {
+  try {
+    return loadManifest(scriptFolder);
+  } catch (err) {
+    console.error(`[ERROR] ${err.message}`);
+    process.exit(1);
+  }
+}
+
+// Merges the legacy config.json, variables*.json and lifecycleHooks.json of a script into
+// script.json (./script migrate, and dev/prod before uploading). options.quiet: say nothing
+// when there is nothing to migrate
+function migrateScript(scriptPrefix, domain, options = {}) {
+  const scriptFolder = path.join(process.cwd(), 'accounts', domain, scriptPrefix);
+  let manifest;
+  try {
+    manifest = migrateManifest(scriptFolder);
+  } catch (err) {
+    console.error(`[ERROR] ${err.message}`);
+    process.exit(1);
+  }
+  if (!manifest && !options.quiet) {
+    console.log(`[MIGRATE] Nothing to migrate in ${scriptFolder}.`);
+  }
+  return manifest;
+}
+
+// esbuild options shared by every build of a script (upload, status)
+function getBuildOptions(entryPath, outputPath, shouldMinify, shouldRemoveComments) {
+  const buildOptions = {
+    entryPoints: [entryPath],
+    outfile: outputPath,
+    bundle: true,
+    platform: 'node',
+    format: 'cjs',
+  };
+  
+  // Apply minify only if requested (prod + minifyProductionCode)
+  if (shouldMinify) {
+    buildOptions.minify = true;
+  }
+  
+  // Remove comments (including JSDoc) using both minifySyntax and legalComments
+  if (shouldRemoveComments) {
+    buildOptions.minifySyntax = true;  // Removes most comments and simplifies syntax
+    buildOptions.legalComments = 'none';  // Removes ALL legal/license comments including JSDoc
+  }
+  return buildOptions;
+}
+
+// Helper function to process bundled code based on config
+async function processBundledCode(entryPath, outputPath, shouldMinify, shouldRemoveComments) {
+  const esbuild = require('esbuild');
+  const startedAt = Date.now();
+  // bundle.js.map lets the log listener translate stack traces back to index.js / lib/*.js
+  await esbuild.build({
+    ...getBuildOptions(entryPath, outputPath, shouldMinify, shouldRemoveComments),
+    sourcemap: 'external',
+  });
+  return readBundle(entryPath, outputPath, shouldMinify, startedAt);
+}
+
+// Reads a freshly written bundle and reports it as a 'bundle' event
+function readBundle(entryPath, outputPath, shouldMinify, startedAt, extra = {}) {
+  const code = fs.readFileSync(outputPath, 'utf8');
+  emit('bundle', {
+    entry: entryPath,
+    outfile: outputPath,
+    bytes: Buffer.byteLength(code),
+    minified: !!shouldMinify,
+    timeMs: Date.now() - startedAt,
+    ...extra,
+  });
+  return code;
+}
+
+// Absolute paths of the files in a build's import graph, from its metafile; node_modules are
+// left out since watching them costs thousands of file handles for files nobody edits
+function getBuildInputs(metafile) {
+  return Object.keys(metafile.inputs)
+    .filter(input => !input.split('/').includes('node_modules'))
+    .map(input => path.resolve(process.cwd(), input));
+}
+
+/**
+ * Creates an incremental esbuild context for watch mode: rebuilds only redo the work for
+ * files that changed since the previous build
+ * @param {string} entryPath - Script entry file
+ * @param {string} outputPath - dist/bundle.js
+ * @param {boolean} shouldMinify - prod + minifyProductionCode
+ * @param {boolean} shouldRemoveComments - build.removeComments from script.json
+ * @returns {Promise<Object>} { rebuild, cancel, dispose }; rebuild() resolves to { code, inputs },
+ * inputs being every file of the import graph (index.js, lib/, ../../../lib/vendors/...)
+ */
+async function createBundleContext(entryPath, outputPath, shouldMinify, shouldRemoveComments) {
+  const esbuild = require('esbuild');
+  const context = await esbuild.context({
+    ...getBuildOptions(entryPath, outputPath, shouldMinify, shouldRemoveComments),
+    sourcemap: 'external',
+    metafile: true,
+  });
+  return {
+    async rebuild() {
+      const startedAt = Date.now();
+      const result = await context.rebuild();
+      const inputs = getBuildInputs(result.metafile);
+      const code = readBundle(entryPath, outputPath, shouldMinify, startedAt, { incremental: true, inputs: inputs.length });
+      return { code, inputs };
+    },
+    cancel: () => context.cancel(),
+    dispose: () => context.dispose(),
+  };
+}
+
+// Merges the layered variable files for env, decrypts enc: values and checks that every key
+// the script requires through getRequiredVars() is present, throwing before anything is uploaded.
+// unminifiedCode skips the scan build when the caller already has an unminified bundle
+async function resolveVariables(domain, codePath, env, unminifiedCode) {
+  const esbuild = require('esbuild');
+  const scriptFolder = path.dirname(codePath);
+  const variables = decryptVariables(loadVariables(scriptFolder, env), domain);
+  if (!fs.existsSync(codePath)) return variables;
+  let code = unminifiedCode;
+  if (code === undefined) {
+    // Scan an unminified build so renamed identifiers don't hide getRequiredVars calls
+    const buildOptions = getBuildOptions(codePath, path.join(scriptFolder, 'dist', 'bundle.js'), false, false);
+    const result = await esbuild.build({ ...buildOptions, write: false, logLevel: 'silent' });
+    code = result.outputFiles[0].text;
+  }
+  const missing = findMissingVariables(variables, findRequiredVariables(code));
+  if (missing.length) {
+    throw new Error(`Missing required variables for '${env}': ${missing.join(', ')} (checked ${getVariableLayers(env).join(', ')})`);
+  }
+  return variables;
+}
+
+// Runs the sandbox checks before an upload and prints what they found. Returns false when the
+// upload must not happen: errors block prod uploads, dev uploads only warn about them
+async function passesUploadCheck(codePath, env, checkOptions) {
+  const { checkSandbox, formatProblems } = require('./sandboxCheck');
+  const { errorCount, problems } = await checkSandbox(codePath, checkOptions);
+  const errors = problems.filter(p => p.severity === 'error');
+  if (!errors.length) return true;
+  console.error(formatProblems(errors));
+  if (env === 'prod') {
+    console.error(`[CHECK] ${errorCount} sandbox error(s) block the prod upload. Run ./script check for details.`);
+    return false;
+  }
+  console.warn(`[CHECK] ${errorCount} sandbox error(s) would block a prod upload.`);
+  return true;
+}
+
+// Runs the deployed script and records the run (and the socket logs that follow) in .logs/<env>/
+async function runRemoteScript(scriptPrefix, env, domain, event) {
+  const scriptCode = `${scriptPrefix}-${env}`;
+  const scriptFolder = path.join(process.cwd(), 'accounts', domain, scriptPrefix);
+  startRunLog(scriptFolder, env, { scriptCode, eventName: event ? event.eventName : 'ApiRun' });
+  const result = await apiClient.runScript(domain, config.getApiKey(domain), scriptCode, event);
+  recordRunResult(result);
+  return result;
+}
+
+// Creates or updates the endpoints script.json resolves for scriptCode and logs what changed
+// Throws like syncEndpoints()
+async function deployEndpoints(domain, apiKey, scriptCode, endpoints) {
+  const { created, updated, stale } = await syncEndpoints(domain, apiKey, scriptCode, endpoints);
+  created.forEach(endpointCode => console.log(`[ENDPOINT] Created '${endpointCode}'`));
+  updated.forEach(endpointCode => console.log(`[ENDPOINT] Updated '${endpointCode}'`));
+  if (stale.length) {
+    console.warn(`[ENDPOINT] Bound to '${scriptCode}' but not in ${MANIFEST_FILE}: ${stale.join(', ')}. Delete them in Prolibu if they are no longer used.`);
+  }
+}
+
 // Runs the script in the specified environment and watches for changes
-async function runDevScript(scriptPrefix, env, domain, watch = false, fileName = 'index') {
+// options.event: optional { eventName, eventData } loaded from an events/ fixture
+async function runDevScript(scriptPrefix, env, domain, watch = false, fileName = 'index', options = {}) {
+  const { event } = options;
   const { listenScriptLog } = require('./socketLog');
   const scriptCode = `${scriptPrefix}-${env}`;
-  const apiKey = config.get('apiKey', domain);
+  const apiKey = config.getApiKey(domain);
+  migrateScript(scriptPrefix, domain, { quiet: true });
+
+  // Validate layered variables and sandbox compatibility before anything is uploaded
+  const codePath = config.getScriptEntryPath(domain, scriptPrefix, fileName);
+  const { minifyProductionCode, removeComments, gitRepositoryUrl, check } = readScriptConfig(domain, scriptPrefix);
+  try {
+    await resolveVariables(domain, codePath, env);
+    if (fs.existsSync(codePath) && !await passesUploadCheck(codePath, env, check)) process.exit(1);
+  } catch (err) {
+    console.error(`[ERROR] ${err.message}`);
+    process.exit(1);
+  }
   
   const scriptExists = await apiClient.ensureScriptExists(domain, apiKey, scriptCode);
   
@@ -18,112 +248,121 @@ async function runDevScript(scriptPrefix, env, domain, watch = false, fileName =
     process.exit(1);
   }
   
-  const configPath = require('path').join(process.cwd(), 'accounts', domain, scriptPrefix, 'config.json');
-  let minifyProductionCode = false;
-  let removeComments = false;
-  let gitRepositoryUrl = '';
-  if (require('fs').existsSync(configPath)) {
-    try {
-      const configData = JSON.parse(require('fs').readFileSync(configPath, 'utf8'));
-      minifyProductionCode = !!configData.minifyProductionCode;
-      removeComments = !!configData.removeComments;
-      gitRepositoryUrl = configData.gitRepositoryUrl || '';
-    } catch {}
-  }
-  const codePath = config.getScriptEntryPath(domain, scriptPrefix, fileName);
   const scriptFolder = path.dirname(codePath);
   if (!fs.existsSync(scriptFolder)) {
     fs.mkdirSync(scriptFolder, { recursive: true });
   }
-  const distPath = path.join(scriptFolder, 'dist', 'bundle.js');
-  const variablesPath = path.join(scriptFolder, 'variables.json');
-  const hooksPath = path.join(scriptFolder, 'lifecycleHooks.json');
-  // Setup README.md watcher after scriptFolder is initialized
-  const readmePath = path.join(scriptFolder, 'README.md');
+  const distPath = config.getBundlePath(domain, scriptPrefix, env);
+  const manifestPath = path.join(scriptFolder, MANIFEST_FILE);
+  // Written on the first sync so the settings uploaded below have a file to live in
+  if (!fs.existsSync(manifestPath)) writeManifest(scriptFolder, readManifest(scriptFolder));
+  const readmePath = path.join(scriptFolder, readManifest(scriptFolder).readme || 'README.md');
   if (!fs.existsSync(readmePath)) {
     fs.writeFileSync(readmePath, '');
   }
-  // Immediately upload README.md on script start
-  if (fs.existsSync(readmePath)) {
-    const readmeContent = fs.readFileSync(readmePath, 'utf8');
-    await apiClient.patchScript(domain, apiKey, scriptCode, readmeContent, 'readme');
-  console.log(`[UPLOAD] README.md for '${scriptCode}' uploaded to script.readme (initial sync).`);
-  }
-  fs.watchFile(readmePath, { interval: 500 }, async (curr, prev) => {
-    if (curr.mtime !== prev.mtime) {
-      const readmeContent = fs.readFileSync(readmePath, 'utf8');
-      await apiClient.patchScript(domain, apiKey, scriptCode, readmeContent, 'readme');
-  console.log(`[UPLOAD] README.md for '${scriptCode}' uploaded to script.readme.`);
+
+  // Unchanged fields are never re-uploaded. Endpoints live in /v2/endpoint rather than on the
+  // script, but are skipped the same way
+  const tracker = createUploadTracker(async (field, value) => {
+    if (field === 'endpoints') {
+      await deployEndpoints(domain, apiKey, scriptCode, value);
+    } else if (!await apiClient.patchScript(domain, apiKey, scriptCode, value, field)) {
+      throw new Error(`Upload of '${field}' failed`);
     }
   });
+  const uploadField = tracker.upload;
+  // A script that never declared endpoints has none to clear
+  const uploadEndpoints = (endpoints, upload = tracker.upload) =>
+    (!endpoints.length && !tracker.has('endpoints') ? false : upload('endpoints', endpoints));
+  // The initial sync stops the command on a failed upload instead of running a half-deployed script
+  const initialUpload = (field, value) => uploadField(field, value).catch(err => {
+    console.error(`[ERROR] ${err.message}`);
+    process.exit(1);
+  });
+
+  // Immediately upload README.md on script start
+  await initialUpload('readme', fs.readFileSync(readmePath, 'utf8'));
+  console.log(`[UPLOAD] README.md for '${scriptCode}' uploaded to script.readme (initial sync).`);
 
   config.ensureScriptCode(domain, scriptPrefix);
-  if (!fs.existsSync(variablesPath)) fs.writeFileSync(variablesPath, '[]');
-  if (!fs.existsSync(hooksPath)) fs.writeFileSync(hooksPath, '[]');
-
-  // Helper function to process bundled code based on config
-  const processBundledCode = async (entryPath, outputPath, shouldMinify, shouldRemoveComments) => {
-    const esbuild = require('esbuild');
-    const buildOptions = {
-      entryPoints: [entryPath],
-      outfile: outputPath,
-      bundle: true,
-      platform: 'node',
-      format: 'cjs',
-    };
-    
-    // Apply minify only if requested (prod + minifyProductionCode)
-    if (shouldMinify) {
-      buildOptions.minify = true;
-    }
-    
-    // Remove comments (including JSDoc) using both minifySyntax and legalComments
-    if (shouldRemoveComments) {
-      buildOptions.minifySyntax = true;  // Removes most comments and simplifies syntax
-      buildOptions.legalComments = 'none';  // Removes ALL legal/license comments including JSDoc
-    }
-    
-    await esbuild.build(buildOptions);
-    return require('fs').readFileSync(outputPath, 'utf8');
-  };
+  // .snapshots/ and .logs/ hold uploaded variables and run output even without variables.secret.json
+  if (ensureSecretsIgnored(scriptFolder)) {
+    console.log(`[GIT] Secret files added to ${path.join(scriptFolder, '.gitignore')}`);
+  }
 
   // Initial bundle and PATCH for code.js
   fs.mkdirSync(path.dirname(distPath), { recursive: true });
   const shouldMinify = env === 'prod' && minifyProductionCode;
-  const bundledCode = await processBundledCode(codePath, distPath, shouldMinify, removeComments);
+  // Watch mode keeps an incremental esbuild context; its metafile also tells which files to watch
+  const bundler = watch ? await createBundleContext(codePath, distPath, shouldMinify, removeComments) : null;
+  const initialBuild = bundler
+    ? await bundler.rebuild()
+    : { code: await processBundledCode(codePath, distPath, shouldMinify, removeComments), inputs: [] };
+  const bundledCode = initialBuild.code;
   
   if (shouldMinify) {
-    console.log(`[MINIFY] Production build: minifyProductionCode enabled in config.json, script was minified.`);
-  }
-  // Upload variables
-  const variables = JSON.parse(fs.readFileSync(variablesPath, 'utf8'));
-  await apiClient.patchScript(domain, apiKey, scriptCode, variables, 'variables');
-  // Upload lifecycleHooks
-  const hooks = JSON.parse(fs.readFileSync(hooksPath, 'utf8'));
-  await apiClient.patchScript(domain, apiKey, scriptCode, hooks, 'lifecycleHooks');
+    console.log(`[MINIFY] Production build: minifyProductionCode enabled in script.json, script was minified.`);
+  }
+  // Upload variables (script.json shared + environment variables, then variables.secret.json)
+  const variables = await resolveVariables(domain, codePath, env);
+  await initialUpload('variables', variables);
+  // Upload lifecycleHooks, and scriptName/active/schedule when script.json declares them for env
+  const settings = resolveEnvironment(readManifest(scriptFolder), env);
+  await initialUpload('lifecycleHooks', settings.lifecycleHooks);
+  for (const field of ['scriptName', 'active']) {
+    if (settings[field] !== undefined) await initialUpload(field, settings[field]);
+  }
+  if (settings.schedule) {
+    const { periodicity, config: scheduleConfig } = scheduleToScript(settings.schedule);
+    await initialUpload('periodicity', periodicity);
+    await initialUpload('config', scheduleConfig);
+    console.log(periodicity
+      ? `[SCHEDULE] '${scriptCode}' runs on '${periodicity}' (${settings.schedule.timezone || 'server timezone'}).`
+      : `[SCHEDULE] Schedule of '${scriptCode}' is inactive, periodicity cleared.`);
+  }
+  await uploadEndpoints(settings.endpoints).catch(err => {
+    console.error(`[ERROR] ${err.message}`);
+    process.exit(1);
+  });
+  for (const endpoint of settings.endpoints) {
+    console.log(`[ENDPOINT] ${endpoint.method} ${getEndpointUrl(domain, endpoint)}`);
+  }
+  if (event) {
+    warnIfHookNotRegistered(event.eventName, settings.lifecycleHooks);
+    console.log(`[EVENT] Runs will use event '${event.eventName}' from fixture.`);
+  }
   // Upload code and git repository URL
-  await apiClient.patchScript(domain, apiKey, scriptCode, bundledCode, 'code');
+  await initialUpload('code', bundledCode);
   if (gitRepositoryUrl) {
-    await apiClient.patchScript(domain, apiKey, scriptCode, { repositoryUrl: gitRepositoryUrl }, 'git');
+    // patchScript logs a failure; a missing repository URL is not worth stopping the sync for
+    await uploadField('git', { repositoryUrl: gitRepositoryUrl }).catch(() => {});
   }
+  // Archive what is now deployed so it can be restored with ./script rollback
+  const archiveUpload = (code) => {
+    const snapshot = recordSnapshot(scriptFolder, env, {
+      code,
+      variables: loadVariables(scriptFolder, env),
+      lifecycleHooks: resolveEnvironment(readManifest(scriptFolder), env).lifecycleHooks,
+    });
+    if (snapshot) console.log(`[SNAPSHOT] ${snapshot.id} archived for '${scriptCode}'.`);
+  };
+  archiveUpload(bundledCode);
   if (watch) {
     // Connect to socket.io and listen for script logs, but only run after socket is connected
     await new Promise((resolve) => {
       listenScriptLog(domain, scriptPrefix, env, apiKey, () => {
-        apiClient.runScript(domain, apiKey, scriptCode).then(resolve);
+        runRemoteScript(scriptPrefix, env, domain, event).then(resolve);
       });
     });
 
     // Listen for 'R' key to run the script again (without build/upload)
-    if (process.stdin.isTTY) {
+    if (process.stdin.isTTY && isInteractive()) {
       process.stdin.setRawMode(true);
       process.stdin.resume();
       process.stdin.setEncoding('utf8');
       process.stdin.on('data', async (key) => {
         if (key.toLowerCase() === 'r') {
-          const chalk = (await import('chalk')).default;
-          const gray = (str) => chalk ? chalk.gray(str) : str;
-          await apiClient.runScript(domain, apiKey, scriptCode);
+          await runRemoteScript(scriptPrefix, env, domain, event);
         }
         // Allow exit with Ctrl+C
         if (key === '\u0003') {
@@ -131,77 +370,1185 @@ async function runDevScript(scriptPrefix, env, domain, watch = false, fileName =
         }
       });
     }
-  
-  // Watch code entry file and lib/
-  const libPath = path.join(scriptFolder, 'lib');
-  const chokidar = require('chokidar');
-  const watcher = chokidar.watch([codePath, libPath], {
-    persistent: true,
-    ignoreInitial: true,
-    depth: 99,
-    awaitWriteFinish: true,
+
+    // Every watched file goes through one queue: bursts of saves (formatters, git checkout)
+    // become a single sync that uploads only the fields that changed and runs the script once
+    const secretVariablesPath = path.join(scriptFolder, SECRET_VARIABLES_FILE);
+    const classifyChange = (filePath) => {
+      if (filePath === readmePath) return 'readme';
+      if (filePath === manifestPath) return 'manifest';
+      if (filePath === secretVariablesPath) return 'variables';
+      return 'code';
+    };
+    const syncChanges = async (changes, signal) => {
+      const kinds = new Set(changes.map(change => change.kind));
+      const files = changes.map(change => path.relative(scriptFolder, change.filePath));
+      // Clear the console for every settled batch of changes
+      if (!isJson()) process.stdout.write('\x1Bc');
+      console.log(`[WATCH] ${changes.length} change(s) detected: ${files.join(', ')}. Syncing...`);
+      try {
+        let bundledCode;
+        if (kinds.has('code')) {
+          if (!await passesUploadCheck(codePath, env, check)) {
+            throw new Error('Sandbox check failed, nothing was uploaded');
+          }
+          const build = await bundler.rebuild();
+          bundledCode = build.code;
+          watchImportGraph(build.inputs);
+        }
+        // Code changes can add getRequiredVars() keys, so variables are validated for both.
+        // A script.json change re-sends every setting it holds; batch.upload skips the unchanged ones
+        let variables;
+        if (kinds.has('code') || kinds.has('variables') || kinds.has('manifest')) {
+          variables = await resolveVariables(domain, codePath, env, shouldMinify ? undefined : bundledCode);
+        }
+        const manifest = kinds.has('manifest') ? loadManifest(scriptFolder) : null;
+        const settings = manifest ? resolveEnvironment(manifest, env) : {};
+        const schedule = scheduleToScript(settings.schedule);
+        const git = manifest?.git?.repositoryUrl ? { repositoryUrl: manifest.git.repositoryUrl } : undefined;
+        const readme = kinds.has('readme') ? fs.readFileSync(readmePath, 'utf8') : undefined;
+
+        // Committed once this batch has archived and run what it uploaded (see createUploadTracker)
+        const batch = tracker.batch();
+        const uploads = [];
+        for (const [field, value] of [
+          ['code', bundledCode],
+          ['variables', variables],
+          ['lifecycleHooks', settings.lifecycleHooks],
+          ['scriptName', settings.scriptName],
+          ['active', settings.active],
+          ['periodicity', schedule.periodicity],
+          ['config', schedule.config],
+          ['git', git],
+          ['readme', readme],
+        ]) {
+          // A newer batch is waiting: drop this one, its changes are retried with the newer ones
+          if (signal.aborted) return;
+          if (value !== undefined && await batch.upload(field, value)) uploads.push(field);
+        }
+        if (signal.aborted) return;
+        if (settings.endpoints && await uploadEndpoints(settings.endpoints, batch.upload)) uploads.push('endpoints');
+        if (!uploads.length) {
+          console.log(`[WATCH] Nothing changed for '${scriptCode}', skipping upload and run.`);
+          return;
+        }
+        const chalk = (await import('chalk')).default;
+        console.log(chalk.green.bold(`[SYNC] ${uploads.join(', ')} uploaded for ${scriptCode}`));
+        // README.md, the name, the schedule, the endpoints and the repository URL do not change what a run does
+        if (uploads.every(field => ['readme', 'scriptName', 'periodicity', 'config', 'endpoints', 'git'].includes(field))) {
+          batch.commit();
+          return;
+        }
+        archiveUpload(bundledCode || fs.readFileSync(distPath, 'utf8'));
+        if (signal.aborted) return;
+        await runRemoteScript(scriptPrefix, env, domain, event);
+        batch.commit();
+      } catch (err) {
+        // Cancelled by a newer batch, which retries these changes
+        if (signal.aborted) return;
+        console.error(`[ERROR] Sync failed: ${err.message}`);
+      }
+    };
+    const queue = createChangeQueue(syncChanges, {
+      // Stop a build that a newer batch makes obsolete instead of waiting for it
+      onAbort: () => bundler.cancel(),
+    });
+
+    // Watch code entry file, lib/, script.json, variables.secret.json and README.md, plus every
+    // other file of the import graph (e.g. ../../../lib/vendors/*) once it is known
+    const chokidar = require('chokidar');
+    const watcher = chokidar.watch([
+      codePath,
+      path.join(scriptFolder, 'lib'),
+      manifestPath,
+      secretVariablesPath,
+      readmePath,
+    ], {
+      persistent: true,
+      ignoreInitial: true,
+      depth: 99,
+      awaitWriteFinish: true,
+    });
+    // Files outside the script folder that the last successful build imported
+    let graphFiles = new Set();
+    const watchImportGraph = (inputs) => {
+      const outside = new Set(inputs.filter(input => path.relative(scriptFolder, input).startsWith('..')));
+      const added = [...outside].filter(file => !graphFiles.has(file));
+      const removed = [...graphFiles].filter(file => !outside.has(file));
+      if (added.length) watcher.add(added);
+      if (removed.length) watcher.unwatch(removed);
+      graphFiles = outside;
+    };
+    watchImportGraph(initialBuild.inputs);
+    if (graphFiles.size) {
+      console.log(`[WATCH] Also watching ${graphFiles.size} imported file(s) outside ${scriptPrefix}/.`);
+    }
+    ['add', 'change', 'unlink'].forEach(changeType => {
+      watcher.on(changeType, (filePath) => queue.push({ kind: classifyChange(filePath), filePath, changeType }));
+    });
+  }
+  // If not in watch mode, exit after setup
+  if (!watch) {
+    process.exit(0);
+  }
+}
+
+// Bundles the script and runs it in a local vm sandbox instead of the remote domain
+// options.event: optional { eventName, eventData } loaded from an events/ fixture
+async function runLocalDevScript(scriptPrefix, env, domain, fileName = 'index', options = {}) {
+  const { event } = options;
+  const { runLocalScript } = require('./localRunner');
+  const { printLog } = require('./socketLog');
+  const scriptCode = `${scriptPrefix}-${env}`;
+  const { minifyProductionCode, removeComments, check } = readScriptConfig(domain, scriptPrefix);
+  const codePath = config.getScriptEntryPath(domain, scriptPrefix, fileName);
+  if (!fs.existsSync(codePath)) {
+    console.error(`[ERROR] Entry file not found: ${codePath}`);
+    process.exit(1);
+  }
+  const scriptFolder = path.dirname(codePath);
+  const distPath = config.getBundlePath(domain, scriptPrefix, env);
+  let variables;
+  try {
+    variables = await resolveVariables(domain, codePath, env);
+  } catch (err) {
+    console.error(`[ERROR] ${err.message}`);
+    process.exit(1);
+  }
+  fs.mkdirSync(path.dirname(distPath), { recursive: true });
+  const bundledCode = await processBundledCode(codePath, distPath, env === 'prod' && minifyProductionCode, removeComments);
+  const { lifecycleHooks } = resolveEnvironment(readManifest(scriptFolder), env);
+
+  if (event) warnIfHookNotRegistered(event.eventName, lifecycleHooks);
+
+  console.log(`[LOCAL] Running '${scriptCode}' in local sandbox${event ? ` with event '${event.eventName}'` : ''}...`);
+  startRunLog(scriptFolder, env, { scriptCode, eventName: event ? event.eventName : 'ApiRun', local: true });
+  emit('run-start', { domain, scriptCode, eventName: event ? event.eventName : 'ApiRun', local: true });
+  const result = await runLocalScript({
+    code: bundledCode,
+    domain,
+    scriptCode,
+    env,
+    variables,
+    lifecycleHooks,
+    bundlePath: distPath,
+    allowedBuiltins: check.allowedBuiltins,
+    ...(event ? { eventName: event.eventName, eventData: event.eventData } : {}),
   });
-  const triggerBundle = async (event, filePath) => {
-    // Clear the console on every file change/add/unlink
-    process.stdout.write('\x1Bc');
-    console.log(`[WATCH] ${event} detected in ${filePath}. Bundling and uploading...`);
+  if (result.stack) {
+    printLog('error', { object: { error: result.error, stack: result.stack } }, { source: 'local', bundlePath: distPath });
+  }
+  recordRunResult(result);
+  await apiClient.printRunResult(result);
+  return result;
+}
+
+// Returns the variables of a pulled <scriptPrefix>-<env> that differ from what script.json
+// resolves for env. Keys from variables.secret.json stay there, and values encrypted in
+// script.json are encrypted again so a pull never writes a plain text secret to the manifest
+function diffPulledVariables(manifest, env, remoteVariables, scriptFolder, domain) {
+  const { isEncrypted, encryptValue, ensureSecretKey } = require('./secrets');
+  const secretKeys = new Set(readVariablesFile(scriptFolder, SECRET_VARIABLES_FILE).map(v => v.key));
+  const local = resolveEnvironment(manifest, env).variables;
+  const changed = [];
+  for (const { key, value } of remoteVariables || []) {
+    if (secretKeys.has(key)) continue;
+    const current = local.find(v => v.key === key);
+    if (current && isEncrypted(current.value)) {
+      if (decryptVariables([current], domain)[0].value === value) continue;
+      changed.push({ key, value: encryptValue(value, ensureSecretKey(domain)) });
+    } else if (!current || JSON.stringify(current.value) !== JSON.stringify(value)) {
+      changed.push({ key, value });
+    }
+  }
+  return changed;
+}
+
+// Writes the pulled periodicity and config settings that differ from what script.json resolves
+// for env to environments.<env>.schedule; a cleared periodicity marks the schedule inactive
+function pullSchedule(manifest, env, remote) {
+  const overrides = manifest.environments[env];
+  const local = resolveEnvironment(manifest, env).schedule;
+  const pulled = scheduleFromScript(remote);
+  if (!pulled) {
+    if (local && local.active !== false) overrides.schedule = { ...overrides.schedule, active: false };
+    return;
+  }
+  const changed = local?.active === false ? { active: true } : {};
+  for (const [key, value] of Object.entries(pulled)) {
+    // "@daily" locally and "0 0 * * *" remotely are the same periodicity
+    const current = key === 'periodicity' ? scheduleToScript({ ...local, active: true }).periodicity : local?.[key];
+    if (JSON.stringify(current) !== JSON.stringify(value)) changed[key] = value;
+  }
+  if (Object.keys(changed).length) overrides.schedule = { ...overrides.schedule, ...changed };
+}
+
+// Builds the local file contents that mirror a remote script document. Settings land in the
+// local script.json (or the template's for a new folder): variables that differ become env
+// overrides, lifecycleHooks replace the env's own list when it has one, the shared one otherwise
+function remoteScriptToFiles(remote, scriptFolder, domain, env, fileName = 'index') {
+  let manifest;
+  try {
+    manifest = loadManifest(fs.existsSync(scriptFolder) ? scriptFolder : path.join(process.cwd(), 'templates'));
+  } catch (err) {
+    console.warn(`[WARN] ${err.message}\nStarting from the template's ${MANIFEST_FILE}.`);
+    manifest = loadManifest(path.join(process.cwd(), 'templates'));
+  }
+  manifest.environments = manifest.environments || {};
+  const overrides = manifest.environments[env] = manifest.environments[env] || {};
+  const variables = diffPulledVariables(manifest, env, remote.variables, scriptFolder, domain);
+  if (variables.length) overrides.variables = mergeVariables(overrides.variables, variables);
+  if (overrides.lifecycleHooks) {
+    overrides.lifecycleHooks = remote.lifecycleHooks || [];
+  } else {
+    manifest.lifecycleHooks = remote.lifecycleHooks || [];
+  }
+  if (remote.scriptName) overrides.scriptName = remote.scriptName;
+  if (typeof remote.active === 'boolean') overrides.active = remote.active;
+  pullSchedule(manifest, env, remote);
+  if (remote.git?.repositoryUrl) {
+    manifest.git = { ...manifest.git, repositoryUrl: remote.git.repositoryUrl };
+  }
+  return {
+    // The deployed code is a JS bundle, even when the local entry is index.ts
+    [`${fileName.replace(/\.(js|ts)$/, '')}.js`]: remote.code || '',
+    [manifest.readme || 'README.md']: remote.readme || '',
+    [MANIFEST_FILE]: `${JSON.stringify(manifest, null, 2)}\n`,
+  };
+}
+
+// Downloads a deployed script into accounts/<domain>/<scriptPrefix>/
+// Overwriting changed local files asks for confirmation (skipped with --force)
+async function pullScript(scriptPrefix, env, domain, fileName = 'index') {
+  const { formatDiff } = require('./diff');
+  const scriptCode = `${scriptPrefix}-${env}`;
+  const apiKey = config.getApiKey(domain);
+  const remote = await apiClient.getScript(domain, apiKey, scriptCode);
+  if (!remote) {
+    console.error(`❌ Script '${scriptCode}' not found on ${domain}.`);
+    process.exit(1);
+  }
+
+  const scriptFolder = path.join(process.cwd(), 'accounts', domain, scriptPrefix);
+  // The pulled settings are written to script.json, which would leave the legacy files behind
+  migrateScript(scriptPrefix, domain, { quiet: true });
+  let files;
+  try {
+    files = remoteScriptToFiles(remote, scriptFolder, domain, env, fileName);
+  } catch (err) {
+    console.error(`[ERROR] ${err.message}`);
+    process.exit(1);
+  }
+  const changed = [];
+  for (const [file, content] of Object.entries(files)) {
+    const filePath = path.join(scriptFolder, file);
+    if (!fs.existsSync(filePath)) {
+      console.log(`[NEW] ${file}`);
+      changed.push(file);
+      continue;
+    }
+    const localContent = fs.readFileSync(filePath, 'utf8');
+    if (localContent === content) continue;
+    console.log(`\n[CHANGED] ${file}`);
+    console.log(formatDiff(localContent, content));
+    changed.push(file);
+  }
+
+  if (!changed.length) {
+    console.log(`[PULL] Local files already match '${scriptCode}'.`);
+    return;
+  }
+  const overwrites = changed.filter(file => fs.existsSync(path.join(scriptFolder, file)));
+  if (overwrites.length) {
+    const { confirmOverwrite } = await ask({
+      type: 'confirm',
+      name: 'confirmOverwrite',
+      message: `Overwrite ${overwrites.join(', ')} with '${scriptCode}' from ${domain}?`,
+      default: false
+    });
+    if (!confirmOverwrite) {
+      console.log('Aborted by user.');
+      process.exit(1);
+    }
+  }
+
+  fs.mkdirSync(scriptFolder, { recursive: true });
+  for (const file of changed) {
+    fs.writeFileSync(path.join(scriptFolder, file), files[file]);
+  }
+  console.log(`[PULL] '${scriptCode}' downloaded to ${scriptFolder} (${changed.join(', ')})`);
+}
+
+// Normalizes variables to [{ key, value }] so remote metadata (e.g. _id) does not count as drift
+function normalizeVariables(variables) {
+  return JSON.stringify((variables || []).map(({ key, value }) => ({ key, value })), null, 2);
+}
+
+// Compares the local script folder against the deployed <scriptPrefix>-<env> script, field by field
+async function getScriptDrift(scriptPrefix, env, domain, fileName = 'index') {
+  const esbuild = require('esbuild');
+  const scriptCode = `${scriptPrefix}-${env}`;
+  const apiKey = config.getApiKey(domain);
+  const { minifyProductionCode, removeComments, gitRepositoryUrl } = readScriptConfig(domain, scriptPrefix);
+  const codePath = config.getScriptEntryPath(domain, scriptPrefix, fileName);
+  const scriptFolder = path.dirname(codePath);
+  const manifest = loadManifest(scriptFolder);
+  const settings = resolveEnvironment(manifest, env);
+  const readmePath = path.join(scriptFolder, manifest.readme || 'README.md');
+
+  // Bundle in memory with the same options used on upload
+  const buildOptions = getBuildOptions(codePath, config.getBundlePath(domain, scriptPrefix, env), env === 'prod' && minifyProductionCode, removeComments);
+  const result = await esbuild.build({ ...buildOptions, write: false, logLevel: 'silent' });
+  const local = {
+    code: result.outputFiles[0].text,
+    variables: normalizeVariables(decryptVariables(loadVariables(scriptFolder, env), domain)),
+    lifecycleHooks: JSON.stringify(settings.lifecycleHooks, null, 2),
+    readme: fs.existsSync(readmePath) ? fs.readFileSync(readmePath, 'utf8') : '',
+    'git.repositoryUrl': gitRepositoryUrl,
+  };
+  // Only compared when script.json declares them for env
+  if (settings.scriptName !== undefined) local.scriptName = settings.scriptName;
+  if (settings.active !== undefined) local.active = String(settings.active);
+  if (settings.schedule) {
+    const { periodicity, config: scheduleConfig } = scheduleToScript(settings.schedule);
+    local.periodicity = periodicity || '';
+    local.config = JSON.stringify(scheduleConfig, null, 2);
+  }
+
+  const remoteDoc = await apiClient.getScript(domain, apiKey, scriptCode);
+  if (!remoteDoc) {
+    return { scriptCode, exists: false, fields: [] };
+  }
+  const remote = {
+    code: remoteDoc.code || '',
+    variables: normalizeVariables(remoteDoc.variables),
+    lifecycleHooks: JSON.stringify(remoteDoc.lifecycleHooks || [], null, 2),
+    readme: remoteDoc.readme || '',
+    'git.repositoryUrl': remoteDoc.git?.repositoryUrl || '',
+    scriptName: remoteDoc.scriptName || '',
+    active: String(remoteDoc.active),
+    periodicity: remoteDoc.periodicity || '',
+    // Only the config settings a script.json schedule manages
+    config: JSON.stringify(scheduleToScript({ ...remoteDoc.config }).config, null, 2),
+  };
+  const fields = Object.keys(local).map(field => ({
+    field,
+    inSync: local[field] === remote[field],
+    local: local[field],
+    remote: remote[field],
+  }));
+  const code = fields.find(({ field }) => field === 'code');
+  if (env === 'prod' && !code.inSync) {
+    code.inSync = await isPromotedBuild(scriptFolder, scriptCode, remote.code, codePath, removeComments);
+  }
+  return { scriptCode, exists: true, fields };
+}
+
+// Whether prod code is the last upload of ./script promote and came from the current local dev
+// build. A promote minifies the dev bundle instead of building prod, so its code is not byte
+// for byte what a prod build would produce
+async function isPromotedBuild(scriptFolder, scriptCode, remoteCode, codePath, removeComments) {
+  const esbuild = require('esbuild');
+  const releasesPath = path.join(scriptFolder, 'releases.json');
+  if (!fs.existsSync(releasesPath)) return false;
+  const release = JSON.parse(fs.readFileSync(releasesPath, 'utf8')).filter(entry => entry.to === scriptCode).pop();
+  if (!release || hashContent(remoteCode) !== (release.uploadHash || release.bundleHash)) return false;
+  const buildOptions = getBuildOptions(codePath, path.join(scriptFolder, 'dist', 'dev', 'bundle.js'), false, removeComments);
+  const result = await esbuild.build({ ...buildOptions, write: false, logLevel: 'silent' });
+  return hashContent(result.outputFiles[0].text) === release.bundleHash;
+}
+
+// Prints drift between the local folder and <scriptPrefix>-dev / <scriptPrefix>-prod
+// Exits with code 1 when prod is missing or has drifted (for CI)
+async function statusScript(scriptPrefix, domain, fileName = 'index', options = {}) {
+  const { formatDiff } = require('./diff');
+  const chalk = (await import('chalk')).default;
+  let prodDrifted = false;
+  for (const env of ['dev', 'prod']) {
+    let drift;
     try {
-      const shouldMinify = env === 'prod' && minifyProductionCode;
-      const bundledCode = await processBundledCode(codePath, distPath, shouldMinify, removeComments);
-      await apiClient.patchScript(domain, apiKey, scriptCode, bundledCode, 'code');
-      await apiClient.runScript(domain, apiKey, scriptCode);
-      const chalk = (await import('chalk')).default;
-      console.log(chalk.green.bold(`[SYNC] Bundled code uploaded for ${scriptCode}`));
+      drift = await getScriptDrift(scriptPrefix, env, domain, fileName);
     } catch (err) {
-      console.error(`[ERROR] Bundling/upload failed: ${err.message}`);
+      console.error(`[ERROR] Could not check '${scriptPrefix}-${env}': ${err.message}`);
+      process.exit(1);
     }
-  };
-  watcher.on('add', (filePath) => triggerBundle('add', filePath));
-  watcher.on('change', (filePath) => triggerBundle('change', filePath));
-  watcher.on('unlink', (filePath) => triggerBundle('unlink', filePath));
-
-    // Watch variables.json
-    fs.watchFile(variablesPath, { interval: 500 }, async (curr, prev) => {
-      if (curr.mtime !== prev.mtime) {
-        const variables = JSON.parse(fs.readFileSync(variablesPath, 'utf8'));
-        await apiClient.patchScript(domain, apiKey, scriptCode, variables, 'variables');
-        await apiClient.runScript(domain, apiKey, scriptCode);
-        console.log(`Variables for '${scriptCode}' updated after save.`);
+    console.log(`\n[STATUS] ${drift.scriptCode}`);
+    if (!drift.exists) {
+      console.log(`  ${chalk.red('✖ not deployed')}`);
+      if (env === 'prod') prodDrifted = true;
+      continue;
+    }
+    for (const { field, inSync, local, remote } of drift.fields) {
+      console.log(`  ${field.padEnd(20)}${inSync ? chalk.green('✔ in sync') : chalk.yellow('✖ drifted')}`);
+      if (!inSync && options.diff) {
+        console.log(formatDiff(remote, local));
       }
+    }
+    if (env === 'prod' && drift.fields.some(f => !f.inSync)) prodDrifted = true;
+  }
+  if (prodDrifted) {
+    console.error(chalk.red(`\n[DRIFT] '${scriptPrefix}-prod' does not match local files.`));
+    process.exit(1);
+  }
+  console.log(chalk.green(`\n[STATUS] '${scriptPrefix}-prod' matches local files.`));
+}
+
+// Returns the HEAD commit of the git repository at cwd, or null outside a repository
+function getGitCommit(cwd) {
+  const { execSync } = require('child_process');
+  try {
+    return execSync('git rev-parse HEAD', { cwd, stdio: ['ignore', 'pipe', 'ignore'] }).toString().trim();
+  } catch {
+    return null;
+  }
+}
+
+// Identifies who ran a command, preferring the git identity over the OS user
+function getCurrentUser(cwd) {
+  const { execSync } = require('child_process');
+  const os = require('os');
+  const gitConfig = (key) => {
+    try {
+      return execSync(`git config ${key}`, { cwd, stdio: ['ignore', 'pipe', 'ignore'] }).toString().trim();
+    } catch {
+      return '';
+    }
+  };
+  const name = gitConfig('user.name');
+  const email = gitConfig('user.email');
+  if (name || email) return email ? `${name} <${email}>`.trim() : name;
+  return os.userInfo().username;
+}
+
+// Appends an entry to accounts/<domain>/<scriptPrefix>/releases.json
+function appendRelease(scriptFolder, entry) {
+  const releasesPath = path.join(scriptFolder, 'releases.json');
+  let releases = [];
+  if (fs.existsSync(releasesPath)) {
+    releases = JSON.parse(fs.readFileSync(releasesPath, 'utf8'));
+  }
+  releases.push(entry);
+  fs.writeFileSync(releasesPath, JSON.stringify(releases, null, 2));
+  return releasesPath;
+}
+
+// Variables of an upload as a snapshot archives them: values the local layers keep encrypted
+// stay encrypted (a value that changed since is encrypted again), like diffPulledVariables()
+function encryptArchivedVariables(variables, layers, domain) {
+  const { isEncrypted, encryptValue, ensureSecretKey } = require('./secrets');
+  return variables.map(({ key, value }) => {
+    const local = layers.find(v => v.key === key);
+    if (!local || !isEncrypted(local.value)) return { key, value };
+    // Reusing the local ciphertext keeps the snapshot stateHash stable across promotes
+    if (decryptVariables([local], domain)[0].value === value) return { key, value: local.value };
+    return { key, value: encryptValue(value, ensureSecretKey(domain)) };
+  });
+}
+
+// Promotes the code and variables deployed as <scriptPrefix>-dev to <scriptPrefix>-prod,
+// applying the prod settings of script.json (environments.prod variables, lifecycleHooks,
+// scriptName, active, the resolved prod schedule and endpoints, minifyProductionCode), and
+// records the release in releases.json. Exits with code 1, recording nothing, when an upload fails
+async function promoteScript(scriptPrefix, domain) {
+  const esbuild = require('esbuild');
+  const devCode = `${scriptPrefix}-dev`;
+  const prodCode = `${scriptPrefix}-prod`;
+  const apiKey = config.getApiKey(domain);
+  const scriptFolder = path.join(process.cwd(), 'accounts', domain, scriptPrefix);
+
+  const dev = await apiClient.getScript(domain, apiKey, devCode);
+  if (!dev) {
+    console.error(`❌ Script '${devCode}' not found on ${domain}. Deploy it with './script dev' first.`);
+    process.exit(1);
+  }
+  let overrides;
+  let prod;
+  let schedule;
+  let endpoints;
+  let layers;
+  let minifyProductionCode;
+  try {
+    const manifest = loadManifest(scriptFolder);
+    prod = manifest.environments?.prod || {};
+    minifyProductionCode = !!manifest.build?.minifyProductionCode;
+    const settings = resolveEnvironment(manifest, 'prod');
+    schedule = scheduleToScript(settings.schedule);
+    endpoints = settings.endpoints;
+    overrides = decryptVariables(prod.variables || [], domain);
+    // What the dev variables were uploaded from, encrypted as script.json keeps them
+    layers = mergeVariables(loadVariables(scriptFolder, 'dev'), prod.variables);
+  } catch (err) {
+    console.error(`[ERROR] ${err.message}`);
+    process.exit(1);
+  }
+  const variables = mergeVariables(dev.variables, overrides);
+  const lifecycleHooks = prod.lifecycleHooks || dev.lifecycleHooks || [];
+  // The dev bundle is never minified; prod gets it minified when script.json asks for it
+  let code = dev.code || '';
+  if (minifyProductionCode) {
+    try {
+      code = (await esbuild.transform(code, { minify: true, format: 'cjs', platform: 'node' })).code;
+    } catch (err) {
+      console.error(`[ERROR] Could not minify '${devCode}': ${err.message}`);
+      process.exit(1);
+    }
+  }
+
+  let archived;
+  try {
+    archived = encryptArchivedVariables(variables, layers, domain);
+  } catch (err) {
+    console.error(`[ERROR] ${err.message}`);
+    process.exit(1);
+  }
+
+  const scriptExists = await apiClient.ensureScriptExists(domain, apiKey, prodCode);
+  if (!scriptExists) {
+    console.error(`❌ Could not create or verify script '${prodCode}'. Exiting.`);
+    process.exit(1);
+  }
+  const upload = async (field, value) => {
+    if (!await apiClient.patchScript(domain, apiKey, prodCode, value, field)) {
+      console.error(`[ERROR] Uploading ${field} to '${prodCode}' failed. Promotion stopped, no release recorded.`);
+      process.exit(1);
+    }
+  };
+  await upload('code', code);
+  await upload('variables', variables);
+  await upload('lifecycleHooks', lifecycleHooks);
+  await upload('readme', dev.readme || '');
+  for (const field of ['scriptName', 'active']) {
+    if (prod[field] !== undefined) await upload(field, prod[field]);
+  }
+  for (const [field, value] of Object.entries(schedule)) {
+    await upload(field, value);
+  }
+  if (endpoints.length) {
+    try {
+      await deployEndpoints(domain, apiKey, prodCode, endpoints);
+    } catch (err) {
+      console.error(`[ERROR] ${err.message}`);
+      process.exit(1);
+    }
+  }
+  if (dev.git?.repositoryUrl) {
+    await upload('git', { repositoryUrl: dev.git.repositoryUrl });
+  }
+
+  const bundleHash = hashContent(dev.code || '');
+  const release = {
+    id: `${Date.now()}-${bundleHash.slice(0, 8)}`,
+    promotedAt: new Date().toISOString(),
+    from: devCode,
+    to: prodCode,
+    gitCommit: getGitCommit(scriptFolder),
+    bundleHash,
+    // Hash of the code uploaded to prod, which differs from bundleHash when it was minified
+    uploadHash: hashContent(code),
+    promotedBy: getCurrentUser(scriptFolder),
+    variableOverrides: overrides.map(v => v.key),
+  };
+  fs.mkdirSync(scriptFolder, { recursive: true });
+  if (ensureSecretsIgnored(scriptFolder)) {
+    console.log(`[GIT] Secret files added to ${path.join(scriptFolder, '.gitignore')}`);
+  }
+  recordSnapshot(scriptFolder, 'prod', { code, variables: archived, lifecycleHooks });
+  const releasesPath = appendRelease(scriptFolder, release);
+  const chalk = (await import('chalk')).default;
+  console.log(chalk.green.bold(`[PROMOTE] '${devCode}' promoted to '${prodCode}' (bundle ${bundleHash.slice(0, 12)}${minifyProductionCode ? ', minified' : ''})`));
+  if (overrides.length) {
+    console.log(`[PROMOTE] Prod variable overrides applied: ${release.variableOverrides.join(', ')}`);
+  }
+  console.log(`[RELEASE] ${release.id} recorded in ${releasesPath}`);
+  return release;
+}
+
+// Re-uploads an archived snapshot (code, variables, lifecycleHooks) to <scriptPrefix>-<env>
+// target: snapshot id, id/hash prefix or 'previous'; prompts for one when omitted
+// Stops with code 1 at the first upload that fails
+async function rollbackScript(scriptPrefix, env, domain, target) {
+  const scriptCode = `${scriptPrefix}-${env}`;
+  const apiKey = config.getApiKey(domain);
+  const scriptFolder = path.join(process.cwd(), 'accounts', domain, scriptPrefix);
+  const snapshots = listSnapshots(scriptFolder, env);
+  if (!snapshots.length) {
+    console.error(`[ERROR] No snapshots archived for '${scriptCode}' in ${scriptFolder}/.snapshots/${env}`);
+    process.exit(1);
+  }
+
+  if (!target) {
+    const response = await ask({
+      type: 'list',
+      name: 'target',
+      flag: '--to',
+      message: `Select the snapshot to restore on '${scriptCode}':`,
+      choices: snapshots.map((s, i) => ({
+        name: `${s.id}  ${s.createdAt}${i === 0 ? '  (current)' : ''}`,
+        value: s.id,
+      })),
     });
+    target = response.target;
+  }
 
-    // Watch lifecycleHooks.json
-    fs.watchFile(hooksPath, { interval: 500 }, async (curr, prev) => {
-      if (curr.mtime !== prev.mtime) {
-        const hooks = JSON.parse(fs.readFileSync(hooksPath, 'utf8'));
-        await apiClient.patchScript(domain, apiKey, scriptCode, hooks, 'lifecycleHooks');
-        await apiClient.runScript(domain, apiKey, scriptCode);
-        console.log(`lifecycleHooks for '${scriptCode}' updated after save.`);
+  const snapshot = loadSnapshot(scriptFolder, env, target);
+  if (!snapshot) {
+    console.error(`[ERROR] Snapshot '${target}' not found for '${scriptCode}'. Available: ${snapshots.map(s => s.id).join(', ')}`);
+    process.exit(1);
+  }
+
+  let variables;
+  try {
+    variables = decryptVariables(snapshot.variables, domain);
+  } catch (err) {
+    console.error(`[ERROR] ${err.message}`);
+    process.exit(1);
+  }
+  const fields = { variables, lifecycleHooks: snapshot.lifecycleHooks, code: snapshot.code };
+  for (const [field, value] of Object.entries(fields)) {
+    if (!await apiClient.patchScript(domain, apiKey, scriptCode, value, field)) {
+      console.error(`[ERROR] Uploading ${field} to '${scriptCode}' failed. Rollback to snapshot ${snapshot.id} stopped.`);
+      process.exit(1);
+    }
+  }
+  recordSnapshot(scriptFolder, env, snapshot);
+  const chalk = (await import('chalk')).default;
+  console.log(chalk.green.bold(`[ROLLBACK] '${scriptCode}' restored to snapshot ${snapshot.id} (${snapshot.createdAt})`));
+  return snapshot;
+}
+
+// Prints a one-line summary per recorded run, newest first
+function listRecordedRuns(runs) {
+  runs.forEach(({ id, file }) => {
+    const records = readRunLog(file);
+    const start = records.find(r => r.type === 'run-start') || {};
+    const result = records.find(r => r.type === 'run-result');
+    const logCount = records.filter(r => r.type === 'log').length;
+    const status = !result ? 'no result' : result.error ? 'error' : `ok ${result.timeMs} ms`;
+    if (isJson()) {
+      emit('run', { runId: id, startedAt: start.time, scriptCode: start.scriptCode, eventName: start.eventName, local: !!start.local, logs: logCount, status });
+      return;
+    }
+    console.log(`${id}  ${start.time}  ${start.eventName}${start.local ? ' (local)' : ''}  ${logCount} log(s)  ${status}`);
+  });
+}
+
+/**
+ * Replays recorded runs from .logs/<env>/ (see runLogs.js)
+ * @param {string} scriptPrefix - Script prefix
+ * @param {string} env - 'dev' or 'prod'
+ * @param {string} domain - Domain (e.g., 'dev11.prolibu.com')
+ * @param {Object} options
+ * @param {string} [options.run='latest'] - Run id (or id prefix), 'latest' or 'all'
+ * @param {string} [options.level] - Minimum level shown: 'log'/'info', 'warn' or 'error'
+ * @param {string} [options.grep] - Case-insensitive pattern matched against each log payload
+ * @param {boolean} [options.list] - List recorded runs instead of replaying them
+ */
+async function showRunLogs(scriptPrefix, env, domain, { run = 'latest', level, grep, list } = {}) {
+  const { formatLogHeader, printLogContent } = require('./socketLog');
+  const scriptCode = `${scriptPrefix}-${env}`;
+  const scriptFolder = path.join(process.cwd(), 'accounts', domain, scriptPrefix);
+  const runs = listRunLogs(scriptFolder, env);
+  if (!runs.length) {
+    console.error(`[ERROR] No runs recorded for '${scriptCode}' in ${getRunLogsDir(scriptFolder, env)}`);
+    process.exit(1);
+  }
+  if (list) {
+    listRecordedRuns(runs);
+    return;
+  }
+  if (level && !(level in LEVELS)) {
+    console.error(`[ERROR] Invalid --level '${level}'. Use ${Object.keys(LEVELS).join(', ')}.`);
+    process.exit(1);
+  }
+  if (grep) {
+    try {
+      new RegExp(grep);
+    } catch (err) {
+      console.error(`[ERROR] Invalid --grep pattern: ${err.message}`);
+      process.exit(1);
+    }
+  }
+
+  let selected;
+  if (run === 'latest') selected = runs.slice(0, 1);
+  else if (run === 'all') selected = [...runs].reverse();
+  else selected = runs.filter(r => r.id.startsWith(run)).slice(0, 1);
+  if (!selected.length) {
+    console.error(`[ERROR] Run '${run}' not found for '${scriptCode}'. Use --list to see recorded runs.`);
+    process.exit(1);
+  }
+
+  for (const { id, file } of selected) {
+    for (const record of filterRecords(readRunLog(file), { level, grep })) {
+      const { type, ...data } = record;
+      if (isJson()) {
+        emit(type, { ...data, runId: id });
+        continue;
       }
-    });
+      if (type === 'run-start') {
+        console.log(`\n[RUN] ${id}  ${scriptCode}  ${data.eventName}${data.local ? ' (local)' : ''}  ${data.time}`);
+      } else if (type === 'log') {
+        console.log(formatLogHeader(data.level, new Date(data.time)));
+        printLogContent(data.payload, data.level);
+      } else if (type === 'run-result') {
+        await apiClient.printRunResult(data);
+      }
+    }
   }
-  // If not in watch mode, exit after setup
-  if (!watch) {
+}
+
+// Follows the logs of a deployed script (any script code) without building, uploading or running it
+// options.level: minimum level printed ('log'/'info', 'warn' or 'error')
+async function tailScript(domain, scriptCode, options = {}) {
+  const { listenScriptLog } = require('./socketLog');
+  const { level } = options;
+  if (level && !(level in LEVELS)) {
+    console.error(`[ERROR] Invalid --level '${level}'. Use ${Object.keys(LEVELS).join(', ')}.`);
+    process.exit(1);
+  }
+  const apiKey = config.getApiKey(domain);
+  const script = await apiClient.getScript(domain, apiKey, scriptCode);
+  if (!script) {
+    console.error(`❌ Script '${scriptCode}' not found on ${domain}.`);
+    process.exit(1);
+  }
+  // <prefix>-<env> codes reuse the local build's source map to translate stack traces
+  const [, scriptPrefix, env] = scriptCode.match(/^(.+)-(dev|prod)$/) || [];
+  const socket = listenScriptLog(domain, scriptPrefix, env, apiKey, () => {
+    console.log(`[TAIL] Following logs for '${scriptCode}'${level ? ` (level >= ${level})` : ''}. Press Ctrl+C to stop.`);
+  }, { scriptCode, level });
+  process.on('SIGINT', () => {
+    socket.close();
     process.exit(0);
+  });
+}
+
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+// Parses --since/--until: a duration back from now (30m, 12h, 7d) or a date (2026-10-01, ISO 8601)
+function parseTimeArg(value, now = Date.now()) {
+  const duration = /^(\d+)([smhdw])$/.exec(String(value).trim());
+  if (duration) return new Date(now - Number(duration[1]) * DURATION_UNITS[duration[2]]);
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : new Date(time);
+}
+
+// Converts a /v2/log document into the { level, payload } shape of live socket logs
+function logDocToEntry(doc) {
+  const meta = doc.meta && typeof doc.meta === 'object' ? doc.meta : {};
+  const hints = [meta.level, meta.type, doc.logType, doc.status].map(v => String(v || '').toLowerCase());
+  const level = hints.find(v => v in LEVELS) ||
+    (hints.some(v => v === 'failure' || v === 'failed') ? 'error' : 'log');
+  let payload;
+  if ('message' in meta || 'object' in meta || 'objects' in meta) {
+    payload = meta;
+  } else {
+    payload = {};
+    if (doc.message) payload.message = doc.message;
+    if (Object.keys(meta).length) payload.object = meta;
+  }
+  return { level, payload, timestamp: new Date(doc.createdAt) };
+}
+
+/**
+ * Prints historical executions of a script from the log model (/v2/log/search)
+ * @param {string} domain - Domain (e.g., 'dev11.prolibu.com')
+ * @param {string} scriptCode - Script code (e.g., 'deal-report-prod')
+ * @param {Object} options
+ * @param {string} [options.since='24h'] - Start of the range: duration back from now or a date
+ * @param {string} [options.until] - End of the range (default: now)
+ * @param {string} [options.level] - Minimum level shown: 'log'/'info', 'warn' or 'error'
+ * @param {number} [options.page=1] - Page to show (oldest entries first)
+ * @param {number} [options.limit=50] - Entries per page
+ * @param {boolean} [options.all] - Fetch every page in the range
+ */
+async function historyScript(domain, scriptCode, options = {}) {
+  const { printLog } = require('./socketLog');
+  const { since = '24h', until, level, all } = options;
+  const page = Number(options.page || 1);
+  const limit = Number(options.limit || 50);
+  if (level && !(level in LEVELS)) {
+    console.error(`[ERROR] Invalid --level '${level}'. Use ${Object.keys(LEVELS).join(', ')}.`);
+    process.exit(1);
+  }
+  if (!Number.isInteger(page) || page < 1 || !Number.isInteger(limit) || limit < 1) {
+    console.error('[ERROR] --page and --limit must be positive integers.');
+    process.exit(1);
+  }
+  const from = parseTimeArg(since);
+  const to = until ? parseTimeArg(until) : new Date();
+  if (!from || !to) {
+    console.error(`[ERROR] Invalid time range '${!from ? since : until}'. Use a duration (30m, 12h, 7d) or a date (2026-10-01).`);
+    process.exit(1);
+  }
+
+  const apiKey = config.getApiKey(domain);
+  const xquery = { createdAt: { $gte: from.toISOString(), $lte: to.toISOString() } };
+  console.log(`[HISTORY] '${scriptCode}' logs from ${from.toISOString()} to ${to.toISOString()}`);
+  let current = page;
+  let shown = 0;
+  for (;;) {
+    const result = await apiClient.searchLogs(domain, apiKey, scriptCode, { xquery, page: current, limit, sort: 'createdAt' });
+    if (!result) process.exit(1);
+    const docs = result.docs || [];
+    docs.map(logDocToEntry)
+      .filter(entry => !level || LEVELS[entry.level] >= LEVELS[level])
+      .forEach(entry => {
+        shown++;
+        printLog(entry.level, entry.payload, { source: 'history', timestamp: entry.timestamp });
+      });
+    const lastPage = result.pagination?.lastPage || current;
+    emit('history-page', { scriptCode, page: current, lastPage, count: docs.length });
+    if (all && current < lastPage) {
+      current++;
+      continue;
+    }
+    if (!shown) console.log('[HISTORY] No log entries found in this range.');
+    if (current < lastPage) {
+      console.log(`[HISTORY] Page ${current}/${lastPage} (${limit} per page). Next: --page ${current + 1}, or --all for every page.`);
+    }
+    break;
+  }
+}
+
+/**
+ * Prints what makes up the bundle uploaded for env: bytes per module (npm package, lib/vendors
+ * folder or file), modules bundled twice, and the build.sizeBudget from script.json. Exits with code 1
+ * when the bundle is over budget
+ * @param {string} scriptPrefix - Script prefix
+ * @param {string} env - 'dev' or 'prod' (prod is minified when minifyProductionCode is set)
+ * @param {string} domain - Domain
+ * @param {Object} [options]
+ * @param {string} [options.fileName='index'] - Entry file name
+ * @param {number} [options.limit=20] - Modules listed, largest first
+ * @param {boolean} [options.all] - List every module
+ */
+async function analyzeScript(scriptPrefix, env, domain, options = {}) {
+  const esbuild = require('esbuild');
+  const chalk = (await import('chalk')).default;
+  const { parseSize, formatBytes, summarizeModules, findDuplicateModules } = require('./bundleReport');
+  const { fileName = 'index', all } = options;
+  const limit = Number(options.limit || 20);
+  if (!Number.isInteger(limit) || limit < 1) {
+    console.error('[ERROR] --limit must be a positive integer.');
+    process.exit(1);
+  }
+  const scriptCode = `${scriptPrefix}-${env}`;
+  const codePath = config.getScriptEntryPath(domain, scriptPrefix, fileName);
+  if (!fs.existsSync(codePath)) {
+    console.error(`[ERROR] Entry file not found: ${codePath}`);
+    process.exit(1);
+  }
+  const scriptFolder = path.dirname(codePath);
+  const { minifyProductionCode, removeComments, sizeBudget } = readScriptConfig(domain, scriptPrefix);
+  let budget = null;
+  try {
+    if (sizeBudget !== null) budget = parseSize(sizeBudget);
+  } catch (err) {
+    console.error(`[ERROR] ${err.message}`);
+    process.exit(1);
+  }
+
+  // Same options as the upload, but kept in memory so dist/ is left as the last upload wrote it
+  const shouldMinify = env === 'prod' && minifyProductionCode;
+  let result;
+  try {
+    result = await esbuild.build({
+      ...getBuildOptions(codePath, config.getBundlePath(domain, scriptPrefix, env), shouldMinify, removeComments),
+      write: false,
+      metafile: true,
+      logLevel: 'silent',
+    });
+  } catch (err) {
+    console.error(`[ERROR] Build failed: ${err.message}`);
+    process.exit(1);
+  }
+  const { totalBytes, modules } = summarizeModules(result.metafile, {
+    scriptFolder: path.relative(process.cwd(), scriptFolder),
+  });
+  const duplicates = findDuplicateModules(modules);
+  const overBudget = budget !== null && totalBytes > budget;
+
+  if (isJson()) {
+    emit('analyze', { scriptCode, bytes: totalBytes, minified: shouldMinify, budget, overBudget, modules, duplicates });
+  } else {
+    console.log(`[ANALYZE] ${scriptCode}: ${formatBytes(totalBytes)}${shouldMinify ? ' (minified)' : ''}, ${modules.length} module(s)`);
+    const shown = all ? modules : modules.slice(0, limit);
+    const width = Math.max(...shown.map(m => m.module.length), 'MODULE'.length);
+    console.log(`  ${'MODULE'.padEnd(width)}  ${'SIZE'.padStart(10)}  ${'%'.padStart(6)}  FILES`);
+    for (const { module, bytes, files } of shown) {
+      const percent = totalBytes ? (bytes / totalBytes) * 100 : 0;
+      console.log(`  ${module.padEnd(width)}  ${formatBytes(bytes).padStart(10)}  ${`${percent.toFixed(1)}%`.padStart(6)}  ${files.length}`);
+    }
+    if (shown.length < modules.length) {
+      console.log(`  ... ${modules.length - shown.length} smaller module(s), use --all to list them`);
+    }
+    for (const { name, reason, paths, bytes } of duplicates) {
+      const why = reason === 'content' ? 'identical files' : `'${name}' bundled twice`;
+      console.log(chalk.yellow(`[DUPLICATE] ${why} (${formatBytes(bytes)}): ${paths.join(', ')}`));
+    }
+    if (budget === null) {
+      console.log('[BUDGET] No build.sizeBudget in script.json.');
+    } else if (overBudget) {
+      console.error(chalk.red(`[BUDGET] ${formatBytes(totalBytes)} exceeds the sizeBudget of ${formatBytes(budget)} by ${formatBytes(totalBytes - budget)}.`));
+    } else {
+      console.log(chalk.green(`[BUDGET] ${formatBytes(totalBytes)} of ${formatBytes(budget)} (${Math.round((totalBytes / budget) * 100)}%).`));
+    }
+  }
+  if (overBudget) process.exit(1);
+}
+
+// Runs the sandbox checks (undeclared globals, unavailable built-ins, Events.init()) without
+// uploading anything; exits with code 1 on errors
+async function checkScript(scriptPrefix, domain, fileName = 'index') {
+  const { checkSandbox, formatProblems } = require('./sandboxCheck');
+  const chalk = (await import('chalk')).default;
+  const codePath = config.getScriptEntryPath(domain, scriptPrefix, fileName);
+  if (!fs.existsSync(codePath)) {
+    console.error(`[ERROR] Entry file not found: ${codePath}`);
+    process.exit(1);
+  }
+  const { check } = readScriptConfig(domain, scriptPrefix);
+  let report;
+  try {
+    report = await checkSandbox(codePath, check);
+  } catch (err) {
+    console.error(`[ERROR] ${err.message}`);
+    process.exit(1);
   }
+  const { errorCount, warningCount, problems } = report;
+  if (isJson()) {
+    emit('check', { scriptPrefix, errorCount, warningCount, problems });
+  } else {
+    if (problems.length) console.log(formatProblems(problems));
+    const summary = `[CHECK] ${scriptPrefix}: ${errorCount} error(s), ${warningCount} warning(s)`;
+    console.log(errorCount ? chalk.red(summary) : chalk.green(summary));
+  }
+  if (errorCount) process.exit(1);
+}
+
+/**
+ * Prints the schedule script.json resolves for <scriptPrefix>-<env> and its next runs, in the
+ * schedule's timezone and in UTC. Exits with code 1 when there is no schedule
+ * @param {string} scriptPrefix - Script prefix
+ * @param {string} env - 'dev' or 'prod'
+ * @param {string} domain - Domain
+ * @param {Object} [options]
+ * @param {number} [options.count=5] - Runs listed
+ */
+function previewSchedule(scriptPrefix, env, domain, options = {}) {
+  const count = Number(options.count || 5);
+  if (!Number.isInteger(count) || count < 1) {
+    console.error('[ERROR] --count must be a positive integer.');
+    process.exit(1);
+  }
+  const scriptCode = `${scriptPrefix}-${env}`;
+  const scriptFolder = path.join(process.cwd(), 'accounts', domain, scriptPrefix);
+  const { schedule } = resolveEnvironment(readManifest(scriptFolder), env);
+  if (!schedule) {
+    console.error(`[ERROR] No schedule in ${path.join(scriptFolder, MANIFEST_FILE)}. Add one, e.g. "schedule": { "periodicity": "0 2 * * *", "timezone": "America/New_York" }`);
+    process.exit(1);
+  }
+  // loadManifest() already rejected invalid cron expressions and timezones
+  const timezone = schedule.timezone || DEFAULT_TIMEZONE;
+  const runs = nextRuns(schedule.periodicity, { timezone, count });
+  const active = schedule.active !== false;
+  if (isJson()) {
+    emit('schedule', { scriptCode, periodicity: schedule.periodicity, timezone, active, runs: runs.map(run => run.format()) });
+    return;
+  }
+  console.log(`[SCHEDULE] ${scriptCode}: '${schedule.periodicity}' in ${timezone}${schedule.timezone ? '' : ` (no timezone in ${MANIFEST_FILE})`}`);
+  if (!active) {
+    console.log(`[SCHEDULE] The schedule is inactive for ${env}: '${scriptCode}' does not run on it once deployed.`);
+  }
+  console.log(`  Next ${runs.length} run(s):`);
+  for (const run of runs) {
+    console.log(`  ${run.format('ddd YYYY-MM-DD HH:mm z')}  (${run.clone().utc().format('YYYY-MM-DD HH:mm')} UTC)`);
+  }
+}
+
+// Parses --body: inline JSON, or @<file> to read the JSON from a file; {} when omitted
+function parseRequestBody(body) {
+  if (body === undefined || body === '') return {};
+  const source = String(body).startsWith('@') ? fs.readFileSync(path.resolve(String(body).slice(1)), 'utf8') : String(body);
+  try {
+    return JSON.parse(source);
+  } catch (err) {
+    throw new Error(`--body is not valid JSON: ${err.message}`);
+  }
+}
+
+/**
+ * Calls a custom endpoint with a JSON body and prints the response. The method, and whether the
+ * API key is sent, come from the endpoint script.json declares for the route in env, when there
+ * is one. Exits with code 1 on a 4xx/5xx response
+ * @param {string} scriptPrefix - Script prefix
+ * @param {string} env - 'dev' or 'prod', whose endpoints to look the route up in
+ * @param {string} domain - Domain
+ * @param {string} route - e.g. 'salesforce/webhook'
+ * @param {Object} [options]
+ * @param {string} [options.method] - GET, POST, PUT or DELETE (default: the declared one, or POST)
+ * @param {string} [options.body] - JSON, or @<file>; sent as the query string for GET
+ */
+async function callScriptEndpoint(scriptPrefix, env, domain, route, options = {}) {
+  const method = options.method ? String(options.method).toUpperCase() : undefined;
+  if (method && !ENDPOINT_METHODS.includes(method)) {
+    console.error(`[ERROR] Invalid --method '${options.method}'. Use ${ENDPOINT_METHODS.join(', ')}.`);
+    process.exit(1);
+  }
+  let body;
+  try {
+    body = parseRequestBody(options.body);
+  } catch (err) {
+    console.error(`[ERROR] ${err.message}`);
+    process.exit(1);
+  }
+  const scriptFolder = path.join(process.cwd(), 'accounts', domain, scriptPrefix);
+  const { endpoints } = resolveEnvironment(readManifest(scriptFolder), env);
+  let endpoint = findEndpoint(endpoints, route, method);
+  if (!endpoint) {
+    endpoint = { route: route.replace(/^\/+/, ''), method: method || 'POST', authenticated: true };
+    const label = `${method ? `${method} ` : ''}${endpoint.route}`;
+    console.warn(`[ENDPOINT] ${label} does not match exactly one ${env} endpoint in ${MANIFEST_FILE}, calling ${endpoint.method} with the API key.`);
+  }
+  const url = getEndpointUrl(domain, endpoint);
+  const apiKey = endpoint.authenticated === false ? null : config.getApiKey(domain);
+
+  let response;
+  try {
+    response = await apiClient.callEndpoint(domain, apiKey, endpoint.method, endpoint.route, body);
+  } catch (err) {
+    console.error(`[ERROR] ${endpoint.method} ${url} failed: ${err.message}`);
+    process.exit(1);
+  }
+  const { status, data, timeMs } = response;
+  if (isJson()) {
+    emit('endpoint-response', { method: endpoint.method, url, status, body: data, timeMs });
+  } else {
+    const chalk = (await import('chalk')).default;
+    const summary = `[ENDPOINT] ${endpoint.method} ${url} → ${status} (${timeMs} ms)`;
+    console.log(status < 400 ? chalk.green(summary) : chalk.red(summary));
+    console.dir(data, { depth: null, colors: true });
+  }
+  if (status >= 400) process.exit(1);
+}
+
+// Encrypts value and stores it as key in script.json variables (or environments.<env>.variables when env is given)
+function setSecretVariable(scriptPrefix, domain, key, value, env) {
+  const { ensureSecretKey, encryptValue } = require('./secrets');
+  const scriptFolder = path.join(process.cwd(), 'accounts', domain, scriptPrefix);
+  const encrypted = encryptValue(value, ensureSecretKey(domain));
+  updateManifest(scriptFolder, manifest => {
+    let target = manifest;
+    if (env) {
+      manifest.environments = manifest.environments || {};
+      target = manifest.environments[env] = manifest.environments[env] || {};
+    }
+    target.variables = mergeVariables(target.variables, [{ key, value: encrypted }]);
+  });
+  const location = env ? `environments.${env}.variables` : 'variables';
+  console.log(`[SECRET] '${key}' encrypted and saved to ${location} in ${path.join(scriptFolder, MANIFEST_FILE)}`);
+}
+
+// Returns the decrypted value of key as merged for env (script.json variables < environments.<env>.variables < variables.secret.json)
+function getSecretVariable(scriptPrefix, domain, key, env = 'dev') {
+  const scriptFolder = path.join(process.cwd(), 'accounts', domain, scriptPrefix);
+  const variable = loadVariables(scriptFolder, env).find(v => v.key === key);
+  if (!variable) return undefined;
+  return decryptVariables([variable], domain)[0].value;
+}
+
+// Stores url as git.repositoryUrl in the script's script.json, keeping the other settings
+function setGitRepositoryUrl(scriptFolder, url) {
+  updateManifest(scriptFolder, manifest => {
+    manifest.git = { ...manifest.git, repositoryUrl: url };
+  });
+}
+
+/**
+ * Attaches a git repository to a script created without one: sets the origin remote of
+ * accounts/<domain>/<scriptPrefix>, stores the URL as git.repositoryUrl in script.json and
+ * updates the git field of the deployed dev and prod scripts
+ * @param {string} scriptPrefix - Script prefix
+ * @param {string} domain - Domain (e.g., 'dev11.prolibu.com')
+ * @param {string} url - Git repository URL
+ * @returns {Promise<boolean>} Whether both deployed scripts were updated
+ * @throws {Error} If the script folder is not a git repository
+ */
+async function setGitRemote(scriptPrefix, domain, url) {
+  const { REMOTE_NAME, setRemote } = require('./gitRepo');
+  const scriptFolder = path.join(process.cwd(), 'accounts', domain, scriptPrefix);
+  const previous = setRemote(scriptFolder, url);
+  console.log(previous
+    ? `[GIT] Remote '${REMOTE_NAME}' changed from ${previous} to ${url}`
+    : `[GIT] Remote '${REMOTE_NAME}' added: ${url}`);
+  setGitRepositoryUrl(scriptFolder, url);
+  console.log(`[CONFIG] git.repositoryUrl saved to ${path.join(scriptFolder, MANIFEST_FILE)}`);
+
+  const apiKey = config.getApiKey(domain);
+  const scripts = [];
+  for (const env of ['dev', 'prod']) {
+    const scriptCode = `${scriptPrefix}-${env}`;
+    const ok = await apiClient.patchScript(domain, apiKey, scriptCode, { repositoryUrl: url }, 'git');
+    if (ok) console.log(`[UPLOAD] git.repositoryUrl of '${scriptCode}' updated.`);
+    scripts.push({ scriptCode, ok });
+  }
+  emit('git-remote', { domain, scriptPrefix, url, previous, scripts });
+  return scripts.every(script => script.ok);
 }
 
+// Permissions the CLI needs to create and sync scripts (admins have all of them)
+const REQUIRED_PERMISSIONS = ['Resource@Script.create', 'Resource@Script.update'];
 
-// Creates a script for the specified environment
+/**
+ * Validates an API key with /v2/user/me and checks the Script permissions the CLI needs
+ * @param {string} domain - Domain (e.g., 'dev11.prolibu.com')
+ * @param {string} apiKey - API key to validate
+ * @returns {Promise<{ user: Object, missingPermissions: Array<string> }>}
+ * @throws {Error} If the key is rejected or the domain cannot be reached
+ */
+async function verifyApiKey(domain, apiKey) {
+  let data;
+  try {
+    const response = await axios.get(`https://${domain}/v2/user/me`, {
+      headers: { Accept: 'application/json', Authorization: `Bearer ${apiKey}` },
+    });
+    data = response.data;
+  } catch (err) {
+    throw handleAxiosError(err);
+  }
+  const permissions = data.permissions || [];
+  const missingPermissions = data.profile?.isAdmin
+    ? []
+    : REQUIRED_PERMISSIONS.filter(permission => !permissions.includes(permission));
+  return { user: data.profile || {}, missingPermissions };
+}
+
+// Creates a script for the specified environment, with the scriptName, active, schedule and
+// endpoints of script.json (default '<scriptPrefix> - Dev' / '<scriptPrefix> - Prod', active)
 async function createScript(scriptPrefix, env, domain, gitRepo, fileName = 'index') {
   const scriptCode = `${scriptPrefix}-${env}`;
-  const apiKey = config.get('apiKey', domain);
+  const apiKey = config.getApiKey(domain);
   config.ensureScriptCode(domain, scriptPrefix, fileName);
   const code = config.readScriptCode(domain, scriptPrefix, fileName);
+  const settings = resolveEnvironment(readManifest(path.join(process.cwd(), 'accounts', domain, scriptPrefix)), env);
   const envLabel = env === 'dev' ? 'Dev' : 'Prod';
-  const scriptNameLabel = `${scriptPrefix} - ${envLabel}`;
+  const scriptNameLabel = settings.scriptName || `${scriptPrefix} - ${envLabel}`;
+  const extra = { lifecycleHooks: settings.lifecycleHooks, ...scheduleToScript(settings.schedule) };
+  if (settings.active !== undefined) {
+    extra.active = settings.active;
+  }
   // Add git.repositoryUrl if provided
-  const extra = {};
   if (gitRepo) {
     extra.git = { repositoryUrl: gitRepo };
   }
   await apiClient.createScriptDoc(domain, apiKey, scriptCode, scriptNameLabel, code, extra);
   console.log(`Creating script: ${scriptCode} (domain: ${domain}) as '${scriptNameLabel}'`);
+  if (settings.endpoints.length) {
+    // The script is created either way; './script dev' / 'prod' retries the endpoints
+    await deployEndpoints(domain, apiKey, scriptCode, settings.endpoints)
+      .catch(err => console.warn(`[ENDPOINT] ${err.message}`));
+  }
 }
 
 const esbuild = require('esbuild');
@@ -222,4 +1569,32 @@ async function minifyScript(scriptPrefix, env, domain) {
   console.log(`[MINIFY] Minified code saved to ${minPath}`);
 }
 
-module.exports = { runDevScript, createScript, minifyScript };
+module.exports = {
+  runDevScript,
+  runRemoteScript,
+  migrateScript,
+  runLocalDevScript,
+  pullScript,
+  statusScript,
+  getScriptDrift,
+  promoteScript,
+  rollbackScript,
+  showRunLogs,
+  tailScript,
+  historyScript,
+  analyzeScript,
+  checkScript,
+  verifyApiKey,
+  previewSchedule,
+  callScriptEndpoint,
+  setSecretVariable,
+  getSecretVariable,
+  setGitRepositoryUrl,
+  setGitRemote,
+  createScript,
+  minifyScript,
+  getBuildOptions,
+  processBundledCode,
+  createBundleContext,
+  readScriptConfig,
+};
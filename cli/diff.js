@@ -0,0 +1,119 @@
+// Minimal line diff used to preview local vs remote script files
+
+const colors = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  cyan: '\x1b[36m',
+  gray: '\x1b[90m'
+};
+
+// Above this many LCS cells the diff is summarized instead of computed line by line
+const MAX_LCS_CELLS = 4000000;
+
+/**
+ * Computes a line diff between two strings
+ * @param {string} oldText - Current text (e.g., local file)
+ * @param {string} newText - Incoming text (e.g., remote field)
+ * @returns {Array<{type: string, line: string}>|null} Operations (' ', '-', '+'), or null if too large to diff
+ */
+function diffLines(oldText, newText) {
+  const a = oldText.split('\n');
+  const b = newText.split('\n');
+
+  // Skip common prefix and suffix so only the changed middle goes through LCS
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  if (midA.length * midB.length > MAX_LCS_CELLS) return null;
+
+  const rows = midA.length + 1;
+  const cols = midB.length + 1;
+  const lcs = new Uint32Array(rows * cols);
+  for (let i = midA.length - 1; i >= 0; i--) {
+    for (let j = midB.length - 1; j >= 0; j--) {
+      lcs[i * cols + j] = midA[i] === midB[j]
+        ? lcs[(i + 1) * cols + j + 1] + 1
+        : Math.max(lcs[(i + 1) * cols + j], lcs[i * cols + j + 1]);
+    }
+  }
+
+  const ops = a.slice(0, start).map(line => ({ type: ' ', line }));
+  let i = 0;
+  let j = 0;
+  while (i < midA.length && j < midB.length) {
+    if (midA[i] === midB[j]) {
+      ops.push({ type: ' ', line: midA[i] });
+      i++;
+      j++;
+    } else if (lcs[(i + 1) * cols + j] >= lcs[i * cols + j + 1]) {
+      ops.push({ type: '-', line: midA[i++] });
+    } else {
+      ops.push({ type: '+', line: midB[j++] });
+    }
+  }
+  while (i < midA.length) ops.push({ type: '-', line: midA[i++] });
+  while (j < midB.length) ops.push({ type: '+', line: midB[j++] });
+  a.slice(endA).forEach(line => ops.push({ type: ' ', line }));
+  return ops;
+}
+
+/**
+ * Formats a diff as colored unified-style hunks
+ * @param {string} oldText - Current text
+ * @param {string} newText - Incoming text
+ * @param {Object} options
+ * @param {number} [options.context=3] - Unchanged lines shown around each change
+ * @param {number} [options.maxLines=200] - Max printed lines before truncating
+ * @returns {string} Formatted diff ('' when texts are equal)
+ */
+function formatDiff(oldText, newText, { context = 3, maxLines = 200 } = {}) {
+  if (oldText === newText) return '';
+  const ops = diffLines(oldText, newText);
+  if (!ops) {
+    const oldCount = oldText.split('\n').length;
+    const newCount = newText.split('\n').length;
+    return `${colors.gray}(diff too large to display: ${oldCount} lines -> ${newCount} lines)${colors.reset}`;
+  }
+
+  // Mark which lines are within `context` lines of a change
+  const visible = new Array(ops.length).fill(false);
+  ops.forEach((op, index) => {
+    if (op.type === ' ') return;
+    for (let k = Math.max(0, index - context); k <= Math.min(ops.length - 1, index + context); k++) {
+      visible[k] = true;
+    }
+  });
+
+  const out = [];
+  let skipped = false;
+  let oldLine = 0;
+  ops.forEach((op, index) => {
+    if (op.type !== '+') oldLine++;
+    if (!visible[index]) {
+      skipped = true;
+      return;
+    }
+    if (skipped || out.length === 0) out.push(`${colors.cyan}@@ line ${oldLine} @@${colors.reset}`);
+    skipped = false;
+    if (op.type === '-') out.push(`${colors.red}-${op.line}${colors.reset}`);
+    else if (op.type === '+') out.push(`${colors.green}+${op.line}${colors.reset}`);
+    else out.push(`${colors.gray} ${op.line}${colors.reset}`);
+  });
+
+  if (out.length > maxLines) {
+    const hidden = out.length - maxLines;
+    return [...out.slice(0, maxLines), `${colors.gray}... ${hidden} more lines${colors.reset}`].join('\n');
+  }
+  return out.join('\n');
+}
+
+module.exports = { diffLines, formatDiff };
@@ -0,0 +1,128 @@
+const apiClient = require('../api/client');
+
+const ENDPOINT_METHODS = ['GET', 'POST', 'PUT', 'DELETE'];
+// Endpoint document fields a script.json endpoint is uploaded as, compared to find what changed
+const ENDPOINT_FIELDS = ['endpointName', 'routeName', 'method', 'authenticated', 'active', 'script'];
+
+/**
+ * endpointCode of a script.json endpoint: derived from the script code, method and route so
+ * dev and prod, and the endpoints of other scripts, never share one
+ * @param {string} scriptCode - e.g. 'webhook-receiver-prod'
+ * @param {Object} endpoint - { route, method }
+ * @returns {string} e.g. 'webhook-receiver-prod-post-salesforce-webhook'
+ */
+function getEndpointCode(scriptCode, { route, method }) {
+  return `${scriptCode}-${method}-${route}`.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+}
+
+// URL a script.json endpoint is served at
+function getEndpointUrl(domain, { route, method }) {
+  return `https://${domain}/v2/endpoint/${method.toLowerCase()}/${route}`;
+}
+
+// Endpoint document for a script.json endpoint of scriptCode (whose _id is scriptId)
+function toEndpointDoc(scriptCode, scriptId, endpoint) {
+  return {
+    endpointCode: getEndpointCode(scriptCode, endpoint),
+    endpointName: endpoint.name || `${scriptCode} ${endpoint.method} ${endpoint.route}`,
+    routeName: endpoint.route,
+    method: endpoint.method,
+    authenticated: endpoint.authenticated !== false,
+    active: endpoint.active !== false,
+    script: scriptId,
+  };
+}
+
+// The script reference of an endpoint document is an id, or the script itself when populated
+function getScriptRef(doc) {
+  return String(doc.script?._id || doc.script || '');
+}
+
+/**
+ * Problems in a list of endpoints that the schema cannot express: two endpoints with the same
+ * method and route
+ * @param {Array<Object>} endpoints - script.json endpoints
+ * @returns {Array<string>} e.g. ["POST webhook is declared twice"]
+ */
+function findDuplicateRoutes(endpoints) {
+  const seen = new Set();
+  const errors = [];
+  for (const { method, route } of endpoints) {
+    const key = `${method} ${route}`;
+    if (seen.has(key)) errors.push(`${key} is declared twice`);
+    seen.add(key);
+  }
+  return errors;
+}
+
+/**
+ * Creates the endpoints script.json declares for <scriptPrefix>-<env> in /v2/endpoint, and
+ * updates the fields that differ on the ones that exist. Endpoints of the script that are no
+ * longer declared are reported, not deleted
+ * @param {string} domain - Domain
+ * @param {string} apiKey - API key
+ * @param {string} scriptCode - e.g. 'webhook-receiver-dev'
+ * @param {Array<Object>} endpoints - Resolved endpoints from resolveEnvironment()
+ * @returns {Promise<{ created: Array<string>, updated: Array<string>, stale: Array<string> }>} endpointCodes
+ * @throws {Error} If the script is missing, a route belongs to another endpoint or a request fails
+ */
+async function syncEndpoints(domain, apiKey, scriptCode, endpoints) {
+  const script = await apiClient.getScript(domain, apiKey, scriptCode);
+  if (!script?._id) throw new Error(`Script '${scriptCode}' not found, cannot bind its endpoints`);
+  const result = { created: [], updated: [], stale: [] };
+
+  for (const endpoint of endpoints) {
+    const doc = toEndpointDoc(scriptCode, String(script._id), endpoint);
+    const existing = await apiClient.getEndpoint(domain, apiKey, doc.endpointCode);
+    if (!existing) {
+      // Routes are unique per domain: an endpoint created by hand or by another script keeps its route
+      const taken = await apiClient.findEndpoints(domain, apiKey, { routeName: doc.routeName, method: doc.method });
+      if (taken?.length) {
+        throw new Error(`${doc.method} ${doc.routeName} is already served by endpoint '${taken[0].endpointCode}'. Pick another route in script.json`);
+      }
+      if (!await apiClient.createEndpoint(domain, apiKey, doc)) {
+        throw new Error(`Creating endpoint '${doc.endpointCode}' failed`);
+      }
+      result.created.push(doc.endpointCode);
+      continue;
+    }
+    const changes = {};
+    for (const field of ENDPOINT_FIELDS) {
+      const current = field === 'script' ? getScriptRef(existing) : existing[field];
+      if (current !== doc[field]) changes[field] = doc[field];
+    }
+    if (!Object.keys(changes).length) continue;
+    if (!await apiClient.patchEndpoint(domain, apiKey, doc.endpointCode, changes)) {
+      throw new Error(`Updating endpoint '${doc.endpointCode}' failed`);
+    }
+    result.updated.push(doc.endpointCode);
+  }
+
+  const declared = new Set(endpoints.map(endpoint => getEndpointCode(scriptCode, endpoint)));
+  const bound = await apiClient.findEndpoints(domain, apiKey, { script: String(script._id) }) || [];
+  result.stale = bound.map(doc => doc.endpointCode).filter(code => !declared.has(code));
+  return result;
+}
+
+/**
+ * Finds the script.json endpoint for a route, narrowed down by method when given
+ * @param {Array<Object>} endpoints - Resolved endpoints
+ * @param {string} route - e.g. 'salesforce/webhook' (a leading slash is ignored)
+ * @param {string} [method] - GET, POST, PUT or DELETE
+ * @returns {Object|undefined} The endpoint, undefined when none or several match
+ */
+function findEndpoint(endpoints, route, method) {
+  const matches = endpoints.filter(endpoint => endpoint.route === route.replace(/^\/+/, '') &&
+    (!method || endpoint.method === method));
+  return matches.length === 1 ? matches[0] : undefined;
+}
+
+module.exports = {
+  ENDPOINT_METHODS,
+  getEndpointCode,
+  getEndpointUrl,
+  toEndpointDoc,
+  findDuplicateRoutes,
+  syncEndpoints,
+  findEndpoint,
+};
@@ -0,0 +1,78 @@
+const fs = require('fs');
+const path = require('path');
+
+const BASE_EVENTS = ['ApiRun', 'ScheduledTask', 'EndpointRequest'];
+const HOOK_TYPES = ['beforeCreate', 'afterCreate', 'beforeUpdate', 'afterUpdate', 'beforeDelete', 'afterDelete'];
+
+function getEventsDir(domain, scriptPrefix) {
+  return path.join(process.cwd(), 'accounts', domain, scriptPrefix, 'events');
+}
+
+// Lists fixture names (without .json) available in the script's events/ folder
+function listEventFixtures(domain, scriptPrefix) {
+  const eventsDir = getEventsDir(domain, scriptPrefix);
+  if (!fs.existsSync(eventsDir)) return [];
+  return fs.readdirSync(eventsDir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => file.replace(/\.json$/, ''));
+}
+
+function isValidEventName(eventName) {
+  if (BASE_EVENTS.includes(eventName)) return true;
+  const [modelName, hookType, ...rest] = String(eventName).split('.');
+  return !!modelName && HOOK_TYPES.includes(hookType) && rest.length === 0;
+}
+
+/**
+ * Loads an event fixture from accounts/<domain>/<scriptPrefix>/events/
+ * A fixture is a JSON file { eventName, eventData }. When eventName is omitted it is
+ * taken from the file name, e.g. events/Contact.afterUpdate.json -> 'Contact.afterUpdate'.
+ * @param {string} domain - Domain (e.g., 'dev11.prolibu.com')
+ * @param {string} scriptPrefix - Script prefix
+ * @param {string} fixture - Fixture name, file name or path to a JSON file
+ * @returns {{ eventName: string, eventData: Object, fixturePath: string }}
+ * @throws {Error} If the fixture does not exist or is invalid
+ */
+function loadEventFixture(domain, scriptPrefix, fixture) {
+  const fileName = fixture.endsWith('.json') ? fixture : `${fixture}.json`;
+  const candidates = [
+    path.resolve(process.cwd(), fixture),
+    path.join(getEventsDir(domain, scriptPrefix), fileName),
+  ];
+  const fixturePath = candidates.find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile());
+  if (!fixturePath) {
+    const available = listEventFixtures(domain, scriptPrefix);
+    throw new Error(`Event fixture '${fixture}' not found in ${getEventsDir(domain, scriptPrefix)}` +
+      (available.length ? `. Available: ${available.join(', ')}` : ''));
+  }
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Invalid JSON in event fixture ${fixturePath}: ${err.message}`);
+  }
+  const eventName = data.eventName || path.basename(fixturePath, '.json');
+  if (!isValidEventName(eventName)) {
+    throw new Error(`Invalid eventName '${eventName}' in ${fixturePath}. Use ${BASE_EVENTS.join(', ')} or <Model>.<${HOOK_TYPES.join('|')}>`);
+  }
+  return { eventName, eventData: data.eventData || {}, fixturePath };
+}
+
+// Warns when a lifecycle fixture targets a model that is not in script.json lifecycleHooks,
+// since EventManager.on() ignores handlers for those models
+function warnIfHookNotRegistered(eventName, lifecycleHooks = []) {
+  const modelName = eventName.split('.')[0];
+  if (BASE_EVENTS.includes(modelName)) return;
+  if (!lifecycleHooks.includes(modelName)) {
+    console.warn(`[WARN] Event '${eventName}' targets model '${modelName}', which is not in the lifecycleHooks of script.json: ${JSON.stringify(lifecycleHooks)}`);
+  }
+}
+
+module.exports = {
+  getEventsDir,
+  listEventFixtures,
+  loadEventFixture,
+  isValidEventName,
+  warnIfHookNotRegistered,
+};
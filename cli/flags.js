@@ -11,11 +11,32 @@ function parseFlags(argv) {
       'repo',
       'lifecycleHooks',
       'apikey',
-      'file'
+      'file',
+      'env',
+      'event',
+      'to',
+      'profile',
+      'run',
+      'level',
+      'grep',
+      'since',
+      'until',
+      'page',
+      'limit',
+      'count',
+      'method',
+      'body',
+      'template'
     ],
     boolean: [
       'watch',
-      'run'
+      'local',
+      'force',
+      'diff',
+      'yes',
+      'json',
+      'list',
+      'all'
     ],
     alias: {
       domain: 'd',
@@ -24,7 +45,11 @@ function parseFlags(argv) {
       lifecycleHooks: 'l',
       apikey: 'a',
       file: 'f',
-      watch: 'w'
+      watch: 'w',
+      env: 'e',
+      profile: 'p',
+      template: 't',
+      yes: ['y', 'non-interactive']
     },
     default: {}
   });
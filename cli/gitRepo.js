@@ -0,0 +1,64 @@
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const REMOTE_NAME = 'origin';
+
+// Runs git in the script folder and returns its stdout; arguments are passed as is, so URLs need no shell quoting
+function git(scriptFolder, args) {
+  return execFileSync('git', args, { cwd: scriptFolder, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+}
+
+function isGitRepository(scriptFolder) {
+  return fs.existsSync(path.join(scriptFolder, '.git'));
+}
+
+/**
+ * Turns a freshly scaffolded script folder into a git repository with an initial commit.
+ * The commit is skipped with a warning when git has no user.name/user.email configured
+ * @param {string} scriptFolder - accounts/<domain>/<scriptPrefix>
+ * @param {string} message - Initial commit message
+ * @returns {boolean} Whether the initial commit was made
+ */
+function initLocalRepository(scriptFolder, message) {
+  git(scriptFolder, ['init', '--initial-branch=main']);
+  console.log(`[GIT] Initialized local repository in ${scriptFolder}`);
+  git(scriptFolder, ['add', '-A']);
+  try {
+    git(scriptFolder, ['commit', '-m', message]);
+  } catch (err) {
+    const reason = (err.stderr || err.message).trim().split('\n').pop();
+    console.warn(`[GIT] Initial commit skipped (${reason}). Configure user.name and user.email, then commit manually.`);
+    return false;
+  }
+  console.log(`[GIT] Initial commit: ${message}`);
+  return true;
+}
+
+/**
+ * Points the repository's origin remote at url, adding it when missing
+ * @param {string} scriptFolder - accounts/<domain>/<scriptPrefix>
+ * @param {string} url - Git repository URL
+ * @returns {string|null} The previous origin URL, or null if there was none
+ * @throws {Error} If the folder is not a git repository
+ */
+function setRemote(scriptFolder, url) {
+  if (!isGitRepository(scriptFolder)) {
+    throw new Error(`${scriptFolder} is not a git repository. Create the script with ./script create, or run git init there first.`);
+  }
+  let previous = null;
+  try {
+    previous = git(scriptFolder, ['remote', 'get-url', REMOTE_NAME]).trim();
+  } catch {
+    // No origin yet
+  }
+  git(scriptFolder, previous === null ? ['remote', 'add', REMOTE_NAME, url] : ['remote', 'set-url', REMOTE_NAME, url]);
+  return previous;
+}
+
+module.exports = {
+  REMOTE_NAME,
+  isGitRepository,
+  initLocalRepository,
+  setRemote,
+};
@@ -0,0 +1,203 @@
+const vm = require('vm');
+const util = require('util');
+const { isBuiltin } = require('module');
+const axios = require('axios');
+const { printLog } = require('./socketLog');
+const { DEFAULT_ALLOWED_BUILTINS, isUnavailableBuiltin } = require('./sandboxCheck');
+
+// Converts console.* arguments into the payload shape the server emits on the
+// scriptLog socket channel ({ message }, { object } or { objects })
+function toLogPayload(args) {
+  const messages = [];
+  const objects = [];
+  for (const arg of args) {
+    // Errors thrown inside the vm come from another realm, so instanceof Error is not reliable
+    if (util.types.isNativeError(arg)) {
+      objects.push({ error: arg.message, stack: arg.stack });
+    } else if (arg && typeof arg === 'object') {
+      objects.push(arg);
+    } else {
+      messages.push(typeof arg === 'string' ? arg : util.inspect(arg));
+    }
+  }
+  const payload = {};
+  if (messages.length) payload.message = messages.join(' ');
+  if (objects.length === 1) payload.object = objects[0];
+  if (objects.length > 1) payload.objects = objects;
+  return payload;
+}
+
+function createSandboxConsole(bundlePath) {
+  const print = (type) => (...args) => printLog(type, toLogPayload(args), { source: 'local', bundlePath });
+  return {
+    log: print('log'),
+    info: print('info'),
+    warn: print('warn'),
+    error: print('error'),
+    debug: print('log'),
+    dir: print('log'),
+  };
+}
+
+// The bundle inlines everything but Node built-ins, so the sandbox only resolves the built-ins
+// ./script check allows and throws for anything else, as the server does
+function createSandboxRequire(allowedBuiltins) {
+  const allowed = new Set([...DEFAULT_ALLOWED_BUILTINS, ...allowedBuiltins]);
+  return (name) => {
+    if (typeof name === 'string' && isBuiltin(name) && !isUnavailableBuiltin(name, allowed)) {
+      return require(name);
+    }
+    throw new Error(`Cannot find module '${name}': only the Node built-ins ${[...allowed].join(', ')} can be required in the script sandbox`);
+  };
+}
+
+/**
+ * Runs a bundled script inside a Node vm context with the globals injected by the server
+ * @param {Object} options
+ * @param {string} options.code - Bundled script code (dist/<env>/bundle.js)
+ * @param {string} options.domain - Domain exposed as localDomain
+ * @param {string} options.scriptCode - Script code (e.g., 'deal-report-dev')
+ * @param {string} options.env - 'dev' or 'prod'
+ * @param {Array} options.variables - Variables as [{ key, value }]
+ * @param {Array} options.lifecycleHooks - Lifecycle hook model names
+ * @param {string} [options.eventName] - Event to dispatch (default: 'ApiRun')
+ * @param {Object} [options.eventData] - Event data (default: { query: {}, body: {} })
+ * @param {number} [options.timeoutMs] - Max time to wait for pending async work
+ * @param {string} [options.bundlePath] - dist/<env>/bundle.js, whose source map translates logged error stacks
+ * @param {Array<string>} [options.allowedBuiltins] - Built-ins require() resolves besides DEFAULT_ALLOWED_BUILTINS
+ * @returns {Promise<Object>} Result with the same shape as /v2/script/run: { output, error, stack, timeMs }
+ */
+async function runLocalScript({
+  code,
+  domain,
+  scriptCode,
+  env,
+  variables = [],
+  lifecycleHooks = [],
+  eventName = 'ApiRun',
+  eventData = { query: {}, body: {} },
+  timeoutMs = 60000,
+  bundlePath,
+  allowedBuiltins = [],
+}) {
+  // Track timers and requests started by the script so we know when it has settled
+  let pending = 0;
+  const timers = new Map();
+  const track = (schedule, clear) => (fn, ms, ...rest) => {
+    pending++;
+    const handle = schedule(() => {
+      if (timers.delete(handle)) pending--;
+      fn(...rest);
+    }, ms);
+    timers.set(handle, clear);
+    return handle;
+  };
+  const untrack = (handle) => {
+    const clear = timers.get(handle);
+    if (!clear) return;
+    timers.delete(handle);
+    pending--;
+    clear(handle);
+  };
+
+  const sandboxAxios = axios.create();
+  sandboxAxios.interceptors.request.use((request) => {
+    pending++;
+    return request;
+  });
+  sandboxAxios.interceptors.response.use((response) => {
+    pending--;
+    return response;
+  }, (error) => {
+    pending--;
+    return Promise.reject(error);
+  });
+
+  let runError = null;
+  const onRejection = (reason) => {
+    if (!runError) runError = reason;
+  };
+
+  const sandboxVariables = variables.map(v => ({ ...v }));
+  // Keep in sync with SANDBOX_GLOBALS in sandboxCheck.js, which ./script check lints against
+  const sandbox = {
+    console: createSandboxConsole(bundlePath),
+    require: createSandboxRequire(allowedBuiltins),
+    module: { exports: {} },
+    process: { env: {} },
+    Buffer,
+    URL,
+    URLSearchParams,
+    TextEncoder,
+    TextDecoder,
+    setTimeout: track(setTimeout, clearTimeout),
+    clearTimeout: untrack,
+    setImmediate: track((fn) => setImmediate(fn), clearImmediate),
+    clearImmediate: untrack,
+    setInterval: (fn, ms, ...rest) => {
+      pending++;
+      const handle = setInterval(fn, ms, ...rest);
+      timers.set(handle, clearInterval);
+      return handle;
+    },
+    clearInterval: untrack,
+    eventName,
+    eventData,
+    env,
+    scriptCode,
+    localDomain: domain,
+    variables: sandboxVariables,
+    lifecycleHooks,
+    axios: sandboxAxios,
+    output: undefined,
+    setVariable: async (key, value) => {
+      const found = sandboxVariables.find(v => v.key === key);
+      if (found) {
+        found.value = value;
+      } else {
+        sandboxVariables.push({ key, value });
+      }
+      return value;
+    },
+  };
+  sandbox.exports = sandbox.module.exports;
+  sandbox.global = sandbox;
+  const context = vm.createContext(sandbox);
+
+  const startedAt = Date.now();
+  process.on('unhandledRejection', onRejection);
+  process.on('uncaughtException', onRejection);
+  try {
+    const result = vm.runInContext(code, context, { filename: 'evalmachine.<anonymous>' });
+    if (result && typeof result.then === 'function') await result;
+    // Wait until every timer and request started by the script has finished
+    const deadline = startedAt + timeoutMs;
+    let idleTicks = 0;
+    while (idleTicks < 2 && !runError) {
+      await new Promise(resolve => setImmediate(resolve));
+      idleTicks = pending > 0 ? 0 : idleTicks + 1;
+      if (pending > 0) await new Promise(resolve => setTimeout(resolve, 10));
+      if (Date.now() > deadline) {
+        throw new Error(`Script did not finish within ${timeoutMs} ms`);
+      }
+    }
+  } catch (err) {
+    runError = err;
+  } finally {
+    process.off('unhandledRejection', onRejection);
+    process.off('uncaughtException', onRejection);
+    for (const handle of [...timers.keys()]) untrack(handle);
+  }
+
+  return {
+    output: context.output,
+    error: runError ? (runError.message || String(runError)) : null,
+    stack: runError?.stack,
+    eventName,
+    eventData,
+    variables: sandboxVariables,
+    timeMs: Date.now() - startedAt,
+  };
+}
+
+module.exports = { runLocalScript, toLogPayload };
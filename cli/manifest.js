@@ -0,0 +1,326 @@
+const fs = require('fs');
+const path = require('path');
+const { mergeVariables } = require('./variables');
+const { validateSchedule } = require('./schedule');
+const { findDuplicateRoutes } = require('./endpoints');
+
+// accounts/<domain>/<scriptPrefix>/script.json, validated against config/script.schema.json
+const MANIFEST_FILE = 'script.json';
+const SCHEMA_PATH = path.join(__dirname, '..', 'config', 'script.schema.json');
+// $schema of a manifest, relative to accounts/<domain>/<scriptPrefix>/
+const SCHEMA_REF = '../../../config/script.schema.json';
+const ENVIRONMENTS = ['dev', 'prod'];
+// Files script.json replaces, merged into it by migrateManifest()
+const LEGACY_FILES = ['config.json', 'variables.json', 'variables.dev.json', 'variables.prod.json', 'lifecycleHooks.json'];
+// config.json keys that moved to script.json build
+const BUILD_SETTINGS = ['minifyProductionCode', 'removeComments', 'sizeBudget', 'check'];
+// Plain text variables loadManifest() warns about: secret-sounding keys, or values shaped like
+// well-known credentials (Stripe, SendGrid, Slack, GitHub, AWS access keys, JWTs)
+const SECRET_KEY_PATTERN = /secret|token|password|passwd|credential|(?:^|[-_.])key(?:$|[-_.])/i;
+// "Key" ending a camelCase word (apiKey, hubspotKeyProd) but not monkey or keyName
+const CAMEL_KEY_PATTERN = /[a-z0-9]Key(?![a-z])/;
+const CREDENTIAL_VALUE_PATTERN = /^(?:[spr]k_(?:live|test)_|SG\.|xox[abprs]-|gh[pousr]_|AKIA[0-9A-Z]{16}$|eyJ[\w-]+\.[\w-]+\.)/;
+
+let schema;
+function getSchema() {
+  if (!schema) schema = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+  return schema;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+// Checks value against the JSON Schema keywords script.schema.json uses (type, properties,
+// required, additionalProperties, items, enum, pattern, minLength, minimum, local $ref)
+function validateNode(value, node, at, errors) {
+  if (node.$ref) {
+    const target = node.$ref.replace(/^#\//, '').split('/').reduce((obj, key) => obj[key], getSchema());
+    return validateNode(value, target, at, errors);
+  }
+  const type = typeOf(value);
+  if (node.type) {
+    const allowed = [].concat(node.type);
+    if (!allowed.includes(type) && !(type === 'integer' && allowed.includes('number'))) {
+      errors.push(`${at} must be ${allowed.join(' or ')}, got ${type}`);
+      return;
+    }
+  }
+  if (node.enum && !node.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push(`${at} must be one of ${node.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+  if (type === 'string') {
+    if (node.minLength !== undefined && value.length < node.minLength) errors.push(`${at} must not be empty`);
+    if (node.pattern && !new RegExp(node.pattern).test(value)) errors.push(`${at} '${value}' does not match ${node.pattern}`);
+  }
+  if ((type === 'number' || type === 'integer') && node.minimum !== undefined && value < node.minimum) {
+    errors.push(`${at} must be >= ${node.minimum}`);
+  }
+  if (type === 'array' && node.items) {
+    value.forEach((item, index) => validateNode(item, node.items, `${at}[${index}]`, errors));
+  }
+  if (type === 'object') {
+    for (const key of node.required || []) {
+      if (!(key in value)) errors.push(`${at}.${key} is required`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (node.properties && node.properties[key]) {
+        validateNode(child, node.properties[key], `${at}.${key}`, errors);
+      } else if (node.additionalProperties === false) {
+        errors.push(`${at}.${key} is not a known setting`);
+      }
+    }
+  }
+}
+
+// What the schema cannot express: valid cron and timezones, and a periodicity for every
+// environment that declares a schedule
+function validateSchedules(manifest, errors) {
+  const declared = [[`${MANIFEST_FILE}.schedule`, manifest.schedule]];
+  ENVIRONMENTS.forEach(env => declared.push([`${MANIFEST_FILE}.environments.${env}.schedule`, manifest.environments?.[env]?.schedule]));
+  for (const [at, schedule] of declared.filter(([, schedule]) => schedule)) {
+    validateSchedule(schedule).forEach(error => errors.push(`${at} ${error}`));
+  }
+  for (const env of ENVIRONMENTS) {
+    const { schedule } = resolveEnvironment(manifest, env);
+    if (schedule && !schedule.periodicity) {
+      errors.push(`${MANIFEST_FILE}.environments.${env}.schedule has no periodicity (neither there nor in the shared schedule)`);
+    }
+  }
+}
+
+// Routes are unique per domain, and <scriptPrefix>-dev and <scriptPrefix>-prod live on the same one
+function validateEndpoints(manifest, errors) {
+  const declared = [[`${MANIFEST_FILE}.endpoints`, manifest.endpoints]];
+  ENVIRONMENTS.forEach(env => declared.push([`${MANIFEST_FILE}.environments.${env}.endpoints`, manifest.environments?.[env]?.endpoints]));
+  for (const [at, endpoints] of declared.filter(([, endpoints]) => endpoints)) {
+    findDuplicateRoutes(endpoints).forEach(error => errors.push(`${at}: ${error}`));
+  }
+  const [dev, prod] = ENVIRONMENTS.map(env => resolveEnvironment(manifest, env).endpoints);
+  const prodRoutes = new Set(prod.map(({ method, route }) => `${method} ${route}`));
+  for (const { method, route } of dev.filter(({ method, route }) => prodRoutes.has(`${method} ${route}`))) {
+    errors.push(`${MANIFEST_FILE}.endpoints: ${method} ${route} would be served by both dev and prod, give environments.dev its own endpoints`);
+  }
+}
+
+/**
+ * Validates a manifest against config/script.schema.json, then checks its schedules and endpoints
+ * @param {Object} manifest - Parsed script.json
+ * @returns {Array<string>} Problems such as "script.json.environments.prod.active must be boolean", empty when valid
+ */
+function validateManifest(manifest) {
+  const errors = [];
+  validateNode(manifest, getSchema(), MANIFEST_FILE, errors);
+  if (!errors.length) {
+    validateSchedules(manifest, errors);
+    validateEndpoints(manifest, errors);
+  }
+  return errors;
+}
+
+// Manifest of a script folder that has neither script.json nor any of the LEGACY_FILES
+function createManifest() {
+  return {
+    $schema: SCHEMA_REF,
+    build: { minifyProductionCode: false, removeComments: false },
+    git: {},
+    readme: 'README.md',
+    lifecycleHooks: [],
+    variables: [],
+    environments: { dev: {}, prod: {} },
+  };
+}
+
+function readLegacyFile(scriptFolder, file) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(scriptFolder, file), 'utf8'));
+  } catch (err) {
+    throw new Error(`Cannot migrate ${file} to ${MANIFEST_FILE}, invalid JSON: ${err.message}`);
+  }
+}
+
+function isGitIgnored(scriptFolder, file) {
+  const gitignorePath = path.join(scriptFolder, '.gitignore');
+  if (!fs.existsSync(gitignorePath)) return false;
+  return fs.readFileSync(gitignorePath, 'utf8').split('\n').map(line => line.trim()).includes(file);
+}
+
+/**
+ * Builds the manifest config.json, variables.json, variables.<env>.json and lifecycleHooks.json
+ * describe, without touching them
+ * @param {string} scriptFolder - accounts/<domain>/<scriptPrefix>
+ * @returns {{ manifest: Object, found: Array<string> }|null} null when there is no legacy file
+ * @throws {Error} If a legacy file is not valid JSON
+ */
+function readLegacyManifest(scriptFolder) {
+  const found = LEGACY_FILES.filter(file => fs.existsSync(path.join(scriptFolder, file)));
+  if (!found.length) return null;
+  const manifest = createManifest();
+
+  if (found.includes('config.json')) {
+    const { gitRepositoryUrl, ...settings } = readLegacyFile(scriptFolder, 'config.json');
+    for (const [key, value] of Object.entries(settings)) {
+      if (BUILD_SETTINGS.includes(key)) {
+        manifest.build[key] = value;
+      } else {
+        warnOnce(`${scriptFolder}:${key}`, `[MIGRATE] Unknown config.json setting '${key}' is not migrated.`);
+      }
+    }
+    if (gitRepositoryUrl) manifest.git.repositoryUrl = gitRepositoryUrl;
+  }
+  if (found.includes('lifecycleHooks.json')) {
+    manifest.lifecycleHooks = readLegacyFile(scriptFolder, 'lifecycleHooks.json');
+  }
+  if (found.includes('variables.json')) {
+    manifest.variables = readLegacyFile(scriptFolder, 'variables.json');
+  }
+  for (const env of ENVIRONMENTS) {
+    if (found.includes(`variables.${env}.json`)) {
+      manifest.environments[env].variables = readLegacyFile(scriptFolder, `variables.${env}.json`);
+    }
+  }
+  return { manifest, found };
+}
+
+/**
+ * Merges the legacy files into script.json and deletes them. Only run by ./script migrate and
+ * before dev/prod uploads, never as a side effect of a read-only command. variables.json used
+ * to be git-ignored, so when the folder's .gitignore lists it, its plain text values are
+ * encrypted with the domain's secret key before they land in the committed manifest
+ * @param {string} scriptFolder - accounts/<domain>/<scriptPrefix>
+ * @returns {Object|null} The migrated manifest, or null when script.json exists or there was nothing to migrate
+ * @throws {Error} If a legacy file is not valid JSON or the result does not match the schema
+ */
+function migrateManifest(scriptFolder) {
+  if (fs.existsSync(path.join(scriptFolder, MANIFEST_FILE))) return null;
+  const legacy = readLegacyManifest(scriptFolder);
+  if (!legacy) return null;
+  const { manifest, found } = legacy;
+
+  const plain = findPlainVariables(manifest.variables);
+  if (plain.length && isGitIgnored(scriptFolder, 'variables.json')) {
+    const { ensureSecretKey, encryptValue } = require('./secrets');
+    // The folder is accounts/<domain>/<scriptPrefix>
+    const secretKey = ensureSecretKey(path.basename(path.dirname(scriptFolder)));
+    plain.forEach(variable => { variable.value = encryptValue(variable.value, secretKey); });
+    console.log(`[MIGRATE] variables.json was git-ignored: ${plain.map(v => v.key).join(', ')} encrypted in ${MANIFEST_FILE}.`);
+  }
+
+  writeManifest(scriptFolder, manifest);
+  found.forEach(file => fs.unlinkSync(path.join(scriptFolder, file)));
+  console.log(`[MIGRATE] ${found.join(', ')} merged into ${path.join(scriptFolder, MANIFEST_FILE)}`);
+  return manifest;
+}
+
+// Variables with a non-empty plain text value, i.e. not encrypted with ./script secret set
+function findPlainVariables(variables) {
+  return (variables || []).filter(v => typeof v.value === 'string' && v.value && !v.value.startsWith('enc:'));
+}
+
+// Prints a warning once per process, however many times the manifest is loaded
+const warned = new Set();
+function warnOnce(id, message) {
+  if (warned.has(id)) return;
+  warned.add(id);
+  console.warn(message);
+}
+
+/**
+ * Reads and validates a script's manifest. Without script.json the legacy files are read as
+ * they are, with a hint to migrate them; a folder without either gets the defaults of
+ * createManifest(), unsaved. Warns once when script.json, which is committed, holds plain text
+ * values that look like secrets
+ * @param {string} scriptFolder - accounts/<domain>/<scriptPrefix>
+ * @returns {Object} Manifest
+ * @throws {Error} If script.json or a legacy file is not valid JSON, or the manifest does not match the schema
+ */
+function loadManifest(scriptFolder) {
+  const manifestPath = path.join(scriptFolder, MANIFEST_FILE);
+  let manifest;
+  if (!fs.existsSync(manifestPath)) {
+    const legacy = readLegacyManifest(scriptFolder);
+    if (!legacy) return createManifest();
+    warnOnce(manifestPath, `[MIGRATE] ${legacy.found.join(', ')} found in ${scriptFolder}. Merge them into ${MANIFEST_FILE} with ./script migrate (dev and prod do it before uploading).`);
+    manifest = legacy.manifest;
+  } else {
+    try {
+      manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    } catch (err) {
+      throw new Error(`Invalid JSON in ${manifestPath}: ${err.message}`);
+    }
+  }
+  const errors = validateManifest(manifest);
+  if (errors.length) {
+    throw new Error(`${manifestPath} does not match config/script.schema.json:\n  ${errors.join('\n  ')}`);
+  }
+  if (fs.existsSync(manifestPath)) {
+    const secrets = [manifest.variables, ...Object.values(manifest.environments || {}).map(env => env?.variables)]
+      .flatMap(findPlainVariables)
+      .filter(({ key, value }) => SECRET_KEY_PATTERN.test(key) || CAMEL_KEY_PATTERN.test(key) || CREDENTIAL_VALUE_PATTERN.test(value));
+    if (secrets.length) {
+      warnOnce(manifestPath, `[WARN] ${manifestPath} holds what look like unencrypted secrets (${[...new Set(secrets.map(v => v.key))].join(', ')}). It is committed: store them with ./script secret set <key>, or in variables.secret.json.`);
+    }
+  }
+  return manifest;
+}
+
+// Validates and saves script.json
+function writeManifest(scriptFolder, manifest) {
+  const errors = validateManifest(manifest);
+  if (errors.length) {
+    throw new Error(`Refusing to write an invalid ${MANIFEST_FILE}:\n  ${errors.join('\n  ')}`);
+  }
+  fs.mkdirSync(scriptFolder, { recursive: true });
+  fs.writeFileSync(path.join(scriptFolder, MANIFEST_FILE), `${JSON.stringify(manifest, null, 2)}\n`);
+}
+
+// Loads the manifest, lets update() change it in place and saves it. Legacy files are migrated
+// first so the saved script.json does not leave them behind
+function updateManifest(scriptFolder, update) {
+  const manifest = migrateManifest(scriptFolder) || loadManifest(scriptFolder);
+  update(manifest);
+  writeManifest(scriptFolder, manifest);
+  return manifest;
+}
+
+/**
+ * Settings of <scriptPrefix>-<env>: the environment's lifecycleHooks and endpoints replace the
+ * shared ones, its variables are merged over the shared ones by key and its schedule over the
+ * shared one setting by setting
+ * @param {Object} manifest - Manifest from loadManifest()
+ * @param {string} env - 'dev' or 'prod'
+ * @returns {Object} { scriptName, active, lifecycleHooks, variables, schedule, endpoints }, scriptName,
+ * active and schedule undefined when the manifest does not declare them
+ */
+function resolveEnvironment(manifest, env) {
+  const overrides = manifest.environments?.[env] || {};
+  const schedule = manifest.schedule || overrides.schedule
+    ? { ...manifest.schedule, ...overrides.schedule }
+    : undefined;
+  return {
+    scriptName: overrides.scriptName,
+    active: overrides.active,
+    lifecycleHooks: overrides.lifecycleHooks || manifest.lifecycleHooks || [],
+    variables: mergeVariables(manifest.variables, overrides.variables),
+    schedule,
+    endpoints: overrides.endpoints || manifest.endpoints || [],
+  };
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  SCHEMA_PATH,
+  ENVIRONMENTS,
+  LEGACY_FILES,
+  validateManifest,
+  createManifest,
+  readLegacyManifest,
+  migrateManifest,
+  loadManifest,
+  writeManifest,
+  updateManifest,
+  resolveEnvironment,
+};
@@ -0,0 +1,50 @@
+const util = require('util');
+
+// Output mode for the current CLI invocation, set once from flags by index.js
+const settings = {
+  json: false,
+};
+
+/**
+ * Enables --json mode: stdout only carries newline-delimited JSON events and every
+ * human readable message (console.log, [UPLOAD], child process output...) goes to stderr
+ * @param {Object} options
+ * @param {boolean} options.json - Emit NDJSON events on stdout
+ */
+function configureOutput({ json } = {}) {
+  settings.json = !!json;
+  if (!settings.json) return;
+  const stderrConsole = new console.Console({ stdout: process.stderr, stderr: process.stderr });
+  ['log', 'info', 'debug', 'dir', 'table'].forEach(method => {
+    console[method] = stderrConsole[method].bind(stderrConsole);
+  });
+  process.on('exit', code => emit('exit', { code }));
+}
+
+function isJson() {
+  return settings.json;
+}
+
+/**
+ * Writes one event line ({ type, time, ...data }) to stdout in --json mode, no-op otherwise
+ * @param {string} type - Event type: upload, bundle, run-start, log, run-result, test-result, create, import, exit
+ * @param {Object} data - Event fields
+ */
+function emit(type, data = {}) {
+  if (!settings.json) return;
+  let line;
+  try {
+    line = JSON.stringify({ type, time: new Date().toISOString(), ...data });
+  } catch {
+    // Circular or otherwise unserializable data (e.g. a script's output object)
+    line = JSON.stringify({ type, time: new Date().toISOString(), data: util.inspect(data, { depth: 4 }) });
+  }
+  process.stdout.write(`${line}\n`);
+}
+
+// stdio option for child processes: their stdout would corrupt the NDJSON stream in --json mode
+function childStdio() {
+  return settings.json ? ['inherit', 2, 'inherit'] : 'inherit';
+}
+
+module.exports = { configureOutput, isJson, emit, childStdio };
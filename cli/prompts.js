@@ -1,24 +1,67 @@
 const config = require('../config/config');
 
+// Prompt behaviour for the current CLI invocation, set once from flags by index.js
+const settings = {
+  nonInteractive: false,
+  force: false,
+};
+
+function configurePrompts({ nonInteractive, force } = {}) {
+  settings.nonInteractive = !!nonInteractive;
+  settings.force = !!force;
+}
+
+function isInteractive() {
+  return !settings.nonInteractive;
+}
+
+function fail(message) {
+  console.error(`[ERROR] ${message}`);
+  process.exit(1);
+}
+
+/**
+ * Asks a single inquirer question, honouring --non-interactive and --force
+ * - confirm questions are answered yes by --force, and fail without it in non-interactive mode
+ * - other questions fall back to their default, or fail naming question.flag, in non-interactive mode
+ * @param {Object} question - inquirer question, plus an optional flag (e.g. '--domain') for error messages
+ * @returns {Promise<Object>} Answers object keyed by question.name
+ */
+async function ask(question) {
+  if (question.type === 'confirm' && settings.force) {
+    return { [question.name]: true };
+  }
+  if (settings.nonInteractive) {
+    if (question.type === 'confirm') {
+      fail(`${question.message} Re-run with --force to confirm in non-interactive mode.`);
+    }
+    if (question.default !== undefined) {
+      return { [question.name]: question.default };
+    }
+    fail(`Missing required value '${question.name}'${question.flag ? ` (use ${question.flag})` : ''} in non-interactive mode.`);
+  }
+  const inquirer = await import('inquirer');
+  return inquirer.default.prompt(question);
+}
+
 // Prompts for domain, apiKey, and scriptName (prefix)
 async function runPrompts(env, scriptName, domain) {
-  const inquirer = await import('inquirer');
   // Use provided domain, prompt only if missing
-  // Only prompt for apiKey if missing
-  let apiKey = config.get('apiKey', domain);
+  // Only prompt for apiKey if missing (--apikey, PROLIBU_API_KEY and the active profile are checked first)
+  let apiKey = config.getApiKey(domain);
   if (!apiKey) {
-    const response = await inquirer.default.prompt({
+    const response = await ask({
       type: 'input',
       name: 'apiKey',
+      flag: '--apikey, PROLIBU_API_KEY or ./script login',
       message: 'API Key:',
     });
     apiKey = response.apiKey;
-    config.set('apiKey', apiKey, domain);
+    config.setApiKey(apiKey, domain);
   }
   // Prompt for lifecycleHooks only during create and gitRepo
   if (env === 'create') {
-    const inquirer = await import('inquirer');
-    const { lifecycleHooks } = await inquirer.default.prompt({
+    const { lifecycleHooks } = await ask({
       type: 'input',
       name: 'lifecycleHooks',
       message: 'Add lifecycleHooks? (comma separated, e.g. Company,Contact,Deal)',
@@ -26,18 +69,16 @@ async function runPrompts(env, scriptName, domain) {
     });
      if (lifecycleHooks && lifecycleHooks.trim()) {
        const hooksArr = lifecycleHooks.split(',').map(h => h.trim()).filter(Boolean);
-       const fs = require('fs');
        const path = require('path');
-       const codePath = require('../config/config').getScriptCodePath(domain, scriptName);
-       const hooksPath = codePath.replace('code.js', 'lifecycleHooks.json');
-       const scriptDir = path.dirname(codePath);
-       fs.mkdirSync(scriptDir, { recursive: true });
-       fs.writeFileSync(hooksPath, JSON.stringify(hooksArr, null, 2));
-       console.log(`[INFO] lifecycleHooks.json created: ${JSON.stringify(hooksArr)}`);
+       const { updateManifest } = require('./manifest');
+       const scriptDir = path.dirname(require('../config/config').getScriptCodePath(domain, scriptName));
+       updateManifest(scriptDir, manifest => { manifest.lifecycleHooks = hooksArr; });
+       console.log(`[INFO] lifecycleHooks saved to script.json: ${JSON.stringify(hooksArr)}`);
      }
-    const { gitRepo } = await inquirer.default.prompt({
+    const { gitRepo } = await ask({
       type: 'input',
       name: 'gitRepo',
+      flag: '--repo',
       message: 'Enter the git repository URL to clone:',
       validate: input => input ? true : 'Git repository URL is required.'
     });
@@ -46,4 +87,4 @@ async function runPrompts(env, scriptName, domain) {
   return { domain, apiKey };
 }
 
-module.exports = { runPrompts };
+module.exports = { runPrompts, ask, configurePrompts, isInteractive };
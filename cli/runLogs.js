@@ -0,0 +1,122 @@
+const fs = require('fs');
+const path = require('path');
+const { ensureSecretsIgnored } = require('./variables');
+
+// Number of run logs kept per environment; older ones are deleted
+const MAX_RUN_LOGS = 100;
+// Severity used by --level: a level shows itself and everything more severe
+const LEVELS = { log: 0, info: 0, warn: 1, error: 2 };
+
+// Run currently receiving log records ({ id, file }); socket logs are appended to it until the next run starts
+let activeRun = null;
+
+function getRunLogsDir(scriptFolder, env) {
+  return path.join(scriptFolder, '.logs', env);
+}
+
+function appendRecord(file, type, data) {
+  fs.appendFileSync(file, `${JSON.stringify({ type, time: new Date().toISOString(), ...data })}\n`);
+}
+
+/**
+ * Starts a new run log (.logs/<env>/<id>.ndjson) and makes it the active run
+ * @param {string} scriptFolder - accounts/<domain>/<scriptPrefix>
+ * @param {string} env - 'dev' or 'prod'
+ * @param {Object} info - { scriptCode, eventName, local }
+ * @returns {{ id: string, file: string }} The new run
+ */
+function startRunLog(scriptFolder, env, { scriptCode, eventName = 'ApiRun', local = false }) {
+  const runLogsDir = getRunLogsDir(scriptFolder, env);
+  fs.mkdirSync(runLogsDir, { recursive: true });
+  // Logs can include variable values, so keep them out of the script's git repo
+  ensureSecretsIgnored(scriptFolder);
+
+  let id = String(Date.now());
+  while (fs.existsSync(path.join(runLogsDir, `${id}.ndjson`))) id = String(Number(id) + 1);
+  const file = path.join(runLogsDir, `${id}.ndjson`);
+  appendRecord(file, 'run-start', { runId: id, scriptCode, env, eventName, local });
+  activeRun = { id, file };
+
+  // Keep a rolling window of the most recent runs
+  listRunLogs(scriptFolder, env).slice(MAX_RUN_LOGS).forEach(old => fs.unlinkSync(old.file));
+  return activeRun;
+}
+
+// Appends a log event ({ level, source, payload }) to the active run, if any
+function recordLog(level, payload, source) {
+  if (!activeRun) return;
+  appendRecord(activeRun.file, 'log', { level, source, payload });
+}
+
+// Appends the run result ({ output, error, timeMs }) to the active run; later socket logs still go to it
+function recordRunResult(result) {
+  if (!activeRun) return;
+  const { output, error, timeMs } = result || { output: null, error: 'Run failed', timeMs: null };
+  // JSON drops an undefined output, so a script that sets none is recorded as null
+  appendRecord(activeRun.file, 'run-result', { output: output ?? null, error, timeMs });
+}
+
+/**
+ * Reads every record of a run log
+ * @param {string} file - Run log path
+ * @returns {Array<Object>} Records ({ type: 'run-start' | 'log' | 'run-result', time, ... })
+ */
+function readRunLog(file) {
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        // A run interrupted mid-write can leave a partial last line
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Lists run logs for an environment, newest first
+ * @param {string} scriptFolder - accounts/<domain>/<scriptPrefix>
+ * @param {string} env - 'dev' or 'prod'
+ * @returns {Array<{ id: string, file: string }>}
+ */
+function listRunLogs(scriptFolder, env) {
+  const runLogsDir = getRunLogsDir(scriptFolder, env);
+  if (!fs.existsSync(runLogsDir)) return [];
+  return fs.readdirSync(runLogsDir)
+    .filter(file => file.endsWith('.ndjson'))
+    .sort((a, b) => Number.parseInt(b, 10) - Number.parseInt(a, 10))
+    .map(file => ({ id: file.replace(/\.ndjson$/, ''), file: path.join(runLogsDir, file) }));
+}
+
+/**
+ * Filters run log records for replay; run-start and run-result records are always kept
+ * @param {Array<Object>} records - Result of readRunLog()
+ * @param {Object} filters
+ * @param {string} [filters.level] - Minimum level: 'log'/'info', 'warn' or 'error'
+ * @param {string} [filters.grep] - Case-insensitive regular expression matched against the log payload
+ * @returns {Array<Object>} Matching records
+ */
+function filterRecords(records, { level, grep } = {}) {
+  const minLevel = level ? LEVELS[level] : 0;
+  const pattern = grep ? new RegExp(grep, 'i') : null;
+  return records.filter(record => {
+    if (record.type !== 'log') return true;
+    if ((LEVELS[record.level] ?? 0) < minLevel) return false;
+    return !pattern || pattern.test(JSON.stringify(record.payload));
+  });
+}
+
+module.exports = {
+  MAX_RUN_LOGS,
+  LEVELS,
+  getRunLogsDir,
+  startRunLog,
+  recordLog,
+  recordRunResult,
+  readRunLog,
+  listRunLogs,
+  filterRecords,
+};
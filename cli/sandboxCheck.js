@@ -0,0 +1,308 @@
+const fs = require('fs');
+const path = require('path');
+const { isBuiltin, SourceMap } = require('module');
+
+// Globals the server injects into the script sandbox (mirrored by the local runner in localRunner.js)
+const SANDBOX_GLOBALS = {
+  console: 'readonly',
+  require: 'readonly',
+  module: 'readonly',
+  exports: 'readonly',
+  process: 'readonly',
+  global: 'readonly',
+  Buffer: 'readonly',
+  URL: 'readonly',
+  URLSearchParams: 'readonly',
+  TextEncoder: 'readonly',
+  TextDecoder: 'readonly',
+  setTimeout: 'readonly',
+  clearTimeout: 'readonly',
+  setImmediate: 'readonly',
+  clearImmediate: 'readonly',
+  setInterval: 'readonly',
+  clearInterval: 'readonly',
+  eventName: 'readonly',
+  eventData: 'readonly',
+  env: 'readonly',
+  scriptCode: 'readonly',
+  localDomain: 'readonly',
+  variables: 'readonly',
+  lifecycleHooks: 'readonly',
+  axios: 'readonly',
+  setVariable: 'readonly',
+  output: 'writable',
+};
+
+// Node built-ins that only compute (no file system, processes or sockets) and can be bundled
+// for the sandbox; a script's script.json can allow more with build.check.allowedBuiltins
+const DEFAULT_ALLOWED_BUILTINS = ['assert', 'buffer', 'crypto', 'events', 'path', 'querystring', 'string_decoder', 'url', 'util'];
+
+// 'node:fs/promises' is unavailable unless 'fs/promises' or 'fs' is allowed
+function isUnavailableBuiltin(name, allowed) {
+  if (typeof name !== 'string' || !isBuiltin(name)) return false;
+  const bare = name.replace(/^node:/, '');
+  return !allowed.has(bare) && !allowed.has(bare.split('/')[0]);
+}
+
+// require('../../../lib/vendors/prolibu/EventManager') and require('./EventManager.js'), also
+// wrapped in esbuild's __toESM() when a TypeScript file imports it
+function isEventManagerRequire(node) {
+  if (node?.type === 'CallExpression' && node.arguments.length === 1 && node.arguments[0].type === 'CallExpression') {
+    node = node.arguments[0];
+  }
+  return !!node && node.type === 'CallExpression' &&
+    node.callee.type === 'Identifier' && node.callee.name === 'require' &&
+    node.arguments[0]?.type === 'Literal' &&
+    /(^|\/)EventManager(\.js)?$/.test(String(node.arguments[0].value));
+}
+
+// await Events.init(), return Events.init(), Events.init().then(...) or () => Events.init()
+function isAwaited(node) {
+  const { parent } = node;
+  if (parent.type === 'AwaitExpression' || parent.type === 'ReturnStatement') return true;
+  if (parent.type === 'ArrowFunctionExpression' && parent.body === node) return true;
+  return parent.type === 'MemberExpression' && parent.object === node &&
+    ['then', 'catch', 'finally'].includes(parent.property.name);
+}
+
+/**
+ * Creates the 'sandbox' ESLint plugin. Events.on() calls and Events.init() calls are collected
+ * across every linted file, since handlers are often registered in lib/ and run from index.js
+ * @param {Object} collector - { registrations: [], initialized: false }, filled while linting
+ * @returns {Object} ESLint plugin with the no-unavailable-builtin and events-init rules
+ */
+function createSandboxPlugin(collector) {
+  return {
+    meta: { name: 'sandbox' },
+    rules: {
+      'no-unavailable-builtin': {
+        meta: {
+          type: 'problem',
+          schema: [{
+            type: 'object',
+            properties: { allow: { type: 'array', items: { type: 'string' } } },
+            additionalProperties: false,
+          }],
+          messages: {
+            unavailable: "'{{name}}' is a Node built-in that is not available in the script sandbox. Allow it with build.check.allowedBuiltins in script.json if the server provides it.",
+          },
+        },
+        create(context) {
+          const allowed = new Set([...DEFAULT_ALLOWED_BUILTINS, ...(context.options[0]?.allow || [])]);
+          const check = (node) => {
+            if (isUnavailableBuiltin(node.value, allowed)) {
+              context.report({ node, messageId: 'unavailable', data: { name: node.value } });
+            }
+          };
+          return {
+            CallExpression(node) {
+              if (node.callee.type === 'Identifier' && node.callee.name === 'require' && node.arguments[0]?.type === 'Literal') {
+                check(node.arguments[0]);
+              }
+            },
+            ImportDeclaration(node) {
+              check(node.source);
+            },
+          };
+        },
+      },
+      'events-init': {
+        meta: {
+          type: 'problem',
+          schema: [],
+          messages: {
+            notAwaited: '{{name}}.init() is not awaited, so the run can end before async handlers finish. Use await {{name}}.init().',
+          },
+        },
+        create(context) {
+          const bindings = new Set();
+          return {
+            VariableDeclarator(node) {
+              if (node.id.type === 'Identifier' && isEventManagerRequire(node.init)) bindings.add(node.id.name);
+            },
+            'CallExpression[callee.type="MemberExpression"]'(node) {
+              const { property } = node.callee;
+              let { object } = node.callee;
+              // Compiled TypeScript default imports: import_EventManager.default.on(...)
+              const compiledImport = object.type === 'MemberExpression' && object.property.name === 'default';
+              if (compiledImport) object = object.object;
+              if (object.type !== 'Identifier' || !bindings.has(object.name)) return;
+              const name = compiledImport ? 'Events' : object.name;
+              if (property.name === 'on') {
+                collector.registrations.push({
+                  file: context.filename,
+                  line: node.loc.start.line,
+                  column: node.loc.start.column + 1,
+                  name,
+                });
+              }
+              if (property.name === 'init') {
+                collector.initialized = true;
+                if (!isAwaited(node)) context.report({ node, messageId: 'notAwaited', data: { name } });
+              }
+            },
+          };
+        },
+      },
+    },
+  };
+}
+
+// ESLint's parser only reads JavaScript, so TypeScript files are linted as esbuild compiles them.
+// Returns the compiled code and a function mapping its 1-based positions back to the .ts file
+async function compileTypeScript(file) {
+  const esbuild = require('esbuild');
+  const { code, map } = await esbuild.transform(fs.readFileSync(file, 'utf8'), {
+    loader: 'ts',
+    format: 'cjs',
+    sourcemap: 'external',
+    sourcefile: file,
+  });
+  const sourceMap = new SourceMap(JSON.parse(map));
+  const toOriginal = (line, column) => {
+    const entry = line ? sourceMap.findEntry(line - 1, column - 1) : {};
+    if (entry.originalLine === undefined) return { line, column };
+    return { line: entry.originalLine + 1, column: entry.originalColumn + 1 };
+  };
+  return { code, toOriginal };
+}
+
+/**
+ * Checks a script for code that breaks in the server sandbox: undeclared globals (no-undef
+ * against SANDBOX_GLOBALS), Node built-ins the sandbox lacks, and EventManager handlers that
+ * never run because Events.init() is missing or not awaited. Every file of the import graph is
+ * linted except node_modules, whose built-in imports are reported as warnings from the metafile
+ * @param {string} entryPath - Script entry file
+ * @param {Object} [options] - build.check settings from script.json
+ * @param {Array<string>} [options.allowedBuiltins] - Built-ins allowed besides DEFAULT_ALLOWED_BUILTINS
+ * @param {Array<string>} [options.globals] - Extra globals the server provides
+ * @returns {Promise<Object>} { errorCount, warningCount, problems }, problems as
+ * { file, line, column, severity: 'error' | 'warning', ruleId, message } with file relative to cwd
+ */
+async function checkSandbox(entryPath, { allowedBuiltins = [], globals: extraGlobals = [] } = {}) {
+  const esbuild = require('esbuild');
+  const { ESLint } = require('eslint');
+  const globals = require('globals');
+
+  const result = await esbuild.build({
+    entryPoints: [entryPath],
+    bundle: true,
+    platform: 'node',
+    format: 'cjs',
+    write: false,
+    metafile: true,
+    logLevel: 'silent',
+  });
+  const inputs = Object.entries(result.metafile.inputs);
+  const isDependency = input => input.split('/').includes('node_modules');
+  const sourceFiles = inputs.map(([input]) => input).filter(input => !isDependency(input));
+
+  const collector = { registrations: [], initialized: false };
+  const eslint = new ESLint({
+    cwd: process.cwd(),
+    ignore: false,
+    overrideConfigFile: true,
+    overrideConfig: [{
+      files: ['**/*.{js,mjs,cjs,ts}'],
+      languageOptions: {
+        sourceType: 'commonjs',
+        ecmaVersion: 'latest',
+        globals: {
+          ...globals.builtin,
+          ...SANDBOX_GLOBALS,
+          ...Object.fromEntries(extraGlobals.map(name => [name, 'readonly'])),
+        },
+      },
+      plugins: { sandbox: createSandboxPlugin(collector) },
+      rules: {
+        'no-undef': 'error',
+        'sandbox/no-unavailable-builtin': ['error', { allow: allowedBuiltins }],
+        'sandbox/events-init': 'error',
+      },
+    }],
+  });
+  const isTypeScript = file => file.endsWith('.ts');
+  const results = await eslint.lintFiles(sourceFiles.filter(file => !isTypeScript(file)));
+  // Positions in compiled TypeScript, by absolute path, mapped back to the .ts source
+  const positionMaps = new Map();
+  for (const file of sourceFiles.filter(isTypeScript)) {
+    const filePath = path.resolve(process.cwd(), file);
+    const { code, toOriginal } = await compileTypeScript(filePath);
+    positionMaps.set(filePath, toOriginal);
+    const [result] = await eslint.lintText(code, { filePath });
+    result.messages = result.messages.map(message => ({ ...message, ...toOriginal(message.line, message.column) }));
+    results.push(result);
+  }
+
+  const problems = [];
+  for (const { filePath, messages } of results) {
+    for (const { line, column, severity, ruleId, message } of messages) {
+      problems.push({
+        file: path.relative(process.cwd(), filePath),
+        line: line || 0,
+        column: column || 0,
+        severity: severity === 2 ? 'error' : 'warning',
+        ruleId: ruleId || 'parse',
+        message,
+      });
+    }
+  }
+  if (collector.registrations.length && !collector.initialized) {
+    const { file, line, column, name } = collector.registrations[0];
+    const toOriginal = positionMaps.get(file) || ((l, c) => ({ line: l, column: c }));
+    problems.push({
+      file: path.relative(process.cwd(), file),
+      ...toOriginal(line, column),
+      severity: 'error',
+      ruleId: 'sandbox/events-init',
+      message: `Handlers registered with ${name}.on() never run: nothing in the bundle calls await ${name}.init().`,
+    });
+  }
+  // Packages often require built-ins in Node-only code paths, so these only warn
+  const allowed = new Set([...DEFAULT_ALLOWED_BUILTINS, ...allowedBuiltins]);
+  for (const [input, { imports }] of inputs.filter(([input]) => isDependency(input))) {
+    for (const { path: name } of imports) {
+      if (!isUnavailableBuiltin(name, allowed)) continue;
+      problems.push({
+        file: input,
+        line: 0,
+        column: 0,
+        severity: 'warning',
+        ruleId: 'sandbox/no-unavailable-builtin',
+        message: `Dependency requires '${name}', a Node built-in that is not available in the script sandbox.`,
+      });
+    }
+  }
+
+  return {
+    errorCount: problems.filter(p => p.severity === 'error').length,
+    warningCount: problems.filter(p => p.severity === 'warning').length,
+    problems,
+  };
+}
+
+// Prints problems grouped by file: "  12:5  error  'fs' is a Node built-in ...  sandbox/no-unavailable-builtin"
+function formatProblems(problems) {
+  const byFile = new Map();
+  for (const problem of problems) {
+    if (!byFile.has(problem.file)) byFile.set(problem.file, []);
+    byFile.get(problem.file).push(problem);
+  }
+  const lines = [];
+  for (const [file, fileProblems] of byFile) {
+    lines.push(`[CHECK] ${file}`);
+    for (const { line, column, severity, ruleId, message } of fileProblems) {
+      const position = line ? `${line}:${column}` : '-';
+      lines.push(`  ${position.padEnd(8)}${severity.padEnd(9)}${message}  ${ruleId}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  SANDBOX_GLOBALS,
+  DEFAULT_ALLOWED_BUILTINS,
+  isUnavailableBuiltin,
+  checkSandbox,
+  formatProblems,
+};
@@ -0,0 +1,187 @@
+const moment = require('moment-timezone');
+
+// The five fields of a cron expression, as docs/events/02-scheduled-task.md describes them
+const CRON_FIELDS = [
+  { key: 'minute', label: 'minute', min: 0, max: 59 },
+  { key: 'hour', label: 'hour', min: 0, max: 23 },
+  { key: 'dayOfMonth', label: 'day of month', min: 1, max: 31 },
+  { key: 'month', label: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'], offset: 1 },
+  { key: 'dayOfWeek', label: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'], offset: 0 },
+];
+const CRON_MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+// Timezone of the preview when script.json declares none
+const DEFAULT_TIMEZONE = 'UTC';
+// script.json schedule settings uploaded as script.config; periodicity and active are not part of it
+const SCHEDULE_CONFIG_KEYS = ['timezone', 'retryOnFailure', 'maxRetries', 'retryDelay'];
+// An expression that matches no date within this many years (e.g. "0 0 30 2 *") never runs
+const SEARCH_YEARS = 8;
+
+function parseCronValue(token, field) {
+  const named = field.names ? field.names.indexOf(token.toLowerCase()) : -1;
+  const value = named === -1 ? Number(token) : named + field.offset;
+  if (!/^\d+$/.test(token) && named === -1) {
+    throw new Error(`${field.label} '${token}' is not a number${field.names ? ` or a name (${field.names.join(', ')})` : ''}`);
+  }
+  if (value < field.min || value > field.max) {
+    throw new Error(`${field.label} '${token}' is out of range ${field.min}-${field.max}`);
+  }
+  return value;
+}
+
+// Expands one field ("*", "5", "1-5", "*/15", "10-40/10", "mon,wed,fri"...) to the set of values it matches
+function parseCronField(source, field) {
+  const values = new Set();
+  for (const part of source.split(',')) {
+    const [range, step, extra] = part.split('/');
+    if (extra !== undefined || !range || (step !== undefined && !/^[1-9]\d*$/.test(step))) {
+      throw new Error(`${field.label} '${part}' is not a valid value, range or step`);
+    }
+    let start = field.min;
+    let end = field.max;
+    if (range !== '*') {
+      const bounds = range.split('-');
+      if (bounds.length > 2) throw new Error(`${field.label} '${range}' is not a valid range`);
+      start = parseCronValue(bounds[0], field);
+      // "5/10" starts at 5 and steps to the end of the field, like "5-59/10"
+      end = bounds.length === 2 ? parseCronValue(bounds[1], field) : (step === undefined ? start : field.max);
+      if (start > end) throw new Error(`${field.label} range '${range}' ends before it starts`);
+    }
+    for (let value = start; value <= end; value += Number(step || 1)) values.add(value);
+  }
+  return values;
+}
+
+/**
+ * Parses a 5-field cron expression (or @hourly, @daily, @weekly, @monthly, @yearly)
+ * @param {string} expression - e.g. "0 9 * * 1-5"
+ * @returns {Object} { minute, hour, dayOfMonth, month, dayOfWeek } Sets of matching values (Sunday
+ * is 0), plus anyDayOfMonth / anyDayOfWeek telling whether those fields are unrestricted
+ * @throws {Error} If the expression is not valid cron
+ */
+function parseCron(expression) {
+  const source = CRON_MACROS[String(expression).trim().toLowerCase()] || String(expression).trim();
+  const parts = source.split(/\s+/);
+  if (parts.length !== CRON_FIELDS.length) {
+    throw new Error(`Invalid cron expression '${expression}': expected 5 fields (minute hour day-of-month month day-of-week), got ${parts[0] ? parts.length : 0}`);
+  }
+  const schedule = {};
+  CRON_FIELDS.forEach((field, index) => {
+    try {
+      schedule[field.key] = parseCronField(parts[index], field);
+    } catch (err) {
+      throw new Error(`Invalid cron expression '${expression}': ${err.message}`);
+    }
+  });
+  // 7 is Sunday too
+  if (schedule.dayOfWeek.delete(7)) schedule.dayOfWeek.add(0);
+  schedule.anyDayOfMonth = parts[2].startsWith('*');
+  schedule.anyDayOfWeek = parts[4].startsWith('*');
+  return schedule;
+}
+
+// Standard cron: when both day fields are restricted, a day matching either of them runs
+function matchesDay(schedule, time) {
+  const dayOfMonth = schedule.dayOfMonth.has(time.date());
+  const dayOfWeek = schedule.dayOfWeek.has(time.day());
+  if (!schedule.anyDayOfMonth && !schedule.anyDayOfWeek) return dayOfMonth || dayOfWeek;
+  return dayOfMonth && dayOfWeek;
+}
+
+/**
+ * Lists the next times a cron expression runs, in its timezone
+ * @param {string} expression - Cron expression
+ * @param {Object} [options]
+ * @param {string} [options.timezone='UTC'] - IANA timezone, e.g. 'America/New_York'
+ * @param {number} [options.count=5] - Number of runs
+ * @param {Date|number|string} [options.from=now] - Runs strictly after this time
+ * @returns {Array<moment.Moment>} Fewer than count when the expression stops matching within SEARCH_YEARS years
+ * @throws {Error} If the expression or the timezone is not valid
+ */
+function nextRuns(expression, { timezone = DEFAULT_TIMEZONE, count = 5, from = Date.now() } = {}) {
+  const schedule = parseCron(expression);
+  if (!moment.tz.zone(timezone)) throw new Error(`Unknown timezone '${timezone}'`);
+  const time = moment.tz(from, timezone).startOf('minute').add(1, 'minute');
+  const until = time.clone().add(SEARCH_YEARS, 'years');
+  const runs = [];
+  // Skip whole months, days and hours that cannot match instead of walking minute by minute
+  while (runs.length < count && time.isBefore(until)) {
+    if (!schedule.month.has(time.month() + 1)) {
+      time.add(1, 'month').startOf('month');
+    } else if (!matchesDay(schedule, time)) {
+      time.add(1, 'day').startOf('day');
+    } else if (!schedule.hour.has(time.hour())) {
+      time.add(1, 'hour').startOf('hour');
+    } else if (!schedule.minute.has(time.minute())) {
+      time.add(1, 'minute');
+    } else {
+      // The hour repeated when clocks go back runs once, like cron does
+      const wallClock = time.format('YYYY-MM-DD HH:mm');
+      if (!runs.length || runs[runs.length - 1].format('YYYY-MM-DD HH:mm') !== wallClock) runs.push(time.clone());
+      time.add(1, 'minute');
+    }
+  }
+  return runs;
+}
+
+/**
+ * Checks the periodicity and timezone of a script.json schedule
+ * @param {Object} schedule - { periodicity, timezone, ... }
+ * @returns {Array<string>} Problems, empty when valid
+ */
+function validateSchedule(schedule) {
+  const errors = [];
+  if (schedule.timezone !== undefined && !moment.tz.zone(schedule.timezone)) {
+    errors.push(`timezone '${schedule.timezone}' is not a known IANA timezone (e.g. 'America/New_York')`);
+  }
+  if (schedule.periodicity !== undefined) {
+    try {
+      if (!nextRuns(schedule.periodicity, { count: 1 }).length) {
+        errors.push(`periodicity '${schedule.periodicity}' never runs (no matching date in ${SEARCH_YEARS} years)`);
+      }
+    } catch (err) {
+      errors.push(err.message);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Script fields a resolved schedule is uploaded as: periodicity, with @macros expanded to five
+ * fields, null while the schedule is inactive so the script stops running on schedule without
+ * being deactivated, and config
+ * @param {Object} [schedule] - Resolved schedule from resolveEnvironment()
+ * @returns {Object} { periodicity, config }, empty when there is no schedule
+ */
+function scheduleToScript(schedule) {
+  if (!schedule) return {};
+  const config = {};
+  SCHEDULE_CONFIG_KEYS.filter(key => schedule[key] !== undefined).forEach(key => { config[key] = schedule[key]; });
+  const periodicity = CRON_MACROS[String(schedule.periodicity).trim().toLowerCase()] || schedule.periodicity;
+  return { periodicity: schedule.active === false ? null : periodicity, config };
+}
+
+// Inverse of scheduleToScript() for a deployed script, undefined when it has no periodicity
+function scheduleFromScript(remote) {
+  if (!remote.periodicity) return undefined;
+  const schedule = { periodicity: remote.periodicity };
+  SCHEDULE_CONFIG_KEYS.filter(key => remote.config?.[key] !== undefined).forEach(key => { schedule[key] = remote.config[key]; });
+  return schedule;
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  SCHEDULE_CONFIG_KEYS,
+  parseCron,
+  nextRuns,
+  validateSchedule,
+  scheduleToScript,
+  scheduleFromScript,
+};
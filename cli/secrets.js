@@ -0,0 +1,163 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config/config');
+
+// Encrypted values look like enc:<iv>:<authTag>:<ciphertext> (base64, AES-256-GCM)
+const ENCRYPTED_PREFIX = 'enc:';
+const SECRET_KEY_ENV = 'PROLIBU_SECRET_KEY';
+
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+}
+
+function generateSecretKey() {
+  return crypto.randomBytes(32).toString('base64');
+}
+
+/**
+ * Returns the domain's secret key: PROLIBU_SECRET_KEY env var, then secretKey in profile.json
+ * @param {string} domain - Domain (e.g., 'dev11.prolibu.com')
+ * @returns {string|undefined} Base64 encoded 32 byte key
+ */
+function getSecretKey(domain) {
+  return process.env[SECRET_KEY_ENV] || config.get('secretKey', domain);
+}
+
+function toKeyBuffer(secretKey) {
+  const key = Buffer.from(secretKey, 'base64');
+  if (key.length !== 32) {
+    throw new Error(`Secret key must be 32 bytes encoded as base64 (got ${key.length} bytes)`);
+  }
+  return key;
+}
+
+function encryptValue(value, secretKey) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', toKeyBuffer(secretKey), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+  const authTag = cipher.getAuthTag();
+  return `${ENCRYPTED_PREFIX}${iv.toString('base64')}:${authTag.toString('base64')}:${ciphertext.toString('base64')}`;
+}
+
+function decryptValue(value, secretKey) {
+  if (!isEncrypted(value)) return value;
+  const [iv, authTag, ciphertext] = value.slice(ENCRYPTED_PREFIX.length).split(':');
+  if (!iv || !authTag || !ciphertext) {
+    throw new Error('Malformed encrypted value, expected enc:<iv>:<authTag>:<ciphertext>');
+  }
+  const decipher = crypto.createDecipheriv('aes-256-gcm', toKeyBuffer(secretKey), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Decrypts every enc: value in a variables array
+ * @param {Array<{key: string, value: *}>} variables - Variables that may contain encrypted values
+ * @param {string} domain - Domain whose secret key is used
+ * @returns {Array<{key: string, value: *}>} Variables with plain text values
+ * @throws {Error} If a value is encrypted and no key is available or the key does not match
+ */
+function decryptVariables(variables, domain) {
+  if (!variables.some(v => isEncrypted(v.value))) return variables;
+  const secretKey = getSecretKey(domain);
+  if (!secretKey) {
+    throw new Error(`Encrypted variables found but no secret key: set ${SECRET_KEY_ENV} or secretKey in ${config.getProfilePath(domain)}`);
+  }
+  return variables.map(({ key, value }) => {
+    try {
+      return { key, value: decryptValue(value, secretKey) };
+    } catch (err) {
+      throw new Error(`Could not decrypt variable '${key}': ${err.message}`);
+    }
+  });
+}
+
+// Returns the domain's secret key, creating and saving one in profile.json if needed
+function ensureSecretKey(domain) {
+  const existing = getSecretKey(domain);
+  if (existing) return existing;
+  const secretKey = generateSecretKey();
+  config.set('secretKey', secretKey, domain);
+  console.log(`[SECRET] New secret key saved to ${config.getProfilePath(domain)}`);
+  return secretKey;
+}
+
+// Lists every script.json and variables*.json file in every script folder of a domain, and the
+// snapshots in .snapshots/<env>/, which rollback decrypts with the current key
+function findVariableFiles(domain) {
+  const domainDir = path.dirname(config.getProfilePath(domain));
+  if (!fs.existsSync(domainDir)) return [];
+  const files = [];
+  fs.readdirSync(domainDir, { withFileTypes: true })
+    .filter(dirent => dirent.isDirectory())
+    .forEach(dirent => {
+      const scriptFolder = path.join(domainDir, dirent.name);
+      fs.readdirSync(scriptFolder)
+        .filter(file => file === 'script.json' || /^variables(\..+)?\.json$/.test(file))
+        .forEach(file => files.push(path.join(scriptFolder, file)));
+      const snapshotsDir = path.join(scriptFolder, '.snapshots');
+      if (!fs.existsSync(snapshotsDir)) return;
+      fs.readdirSync(snapshotsDir, { withFileTypes: true })
+        .filter(envDir => envDir.isDirectory())
+        .forEach(envDir => {
+          fs.readdirSync(path.join(snapshotsDir, envDir.name))
+            .filter(file => file.endsWith('.json'))
+            .forEach(file => files.push(path.join(snapshotsDir, envDir.name, file)));
+        });
+    });
+  return files;
+}
+
+// Every [{ key, value }] list of a variables file, of a script.json (shared and per environment)
+// or of a snapshot
+function getVariableLists(data) {
+  if (Array.isArray(data)) return [data];
+  return [data.variables, ...Object.values(data.environments || {}).map(env => env?.variables)].filter(Array.isArray);
+}
+
+/**
+ * Generates a new secret key and re-encrypts every enc: value in the domain's scripts
+ * @param {string} domain - Domain (e.g., 'dev11.prolibu.com')
+ * @returns {{ secretKey: string, files: Array<string>, fromEnv: boolean }}
+ */
+function rotateSecretKey(domain) {
+  const oldKey = getSecretKey(domain);
+  if (!oldKey) {
+    throw new Error(`No secret key to rotate for '${domain}'`);
+  }
+  const newKey = generateSecretKey();
+  const rewritten = [];
+  // Decrypt everything first so a wrong key aborts before any file is touched
+  const updates = findVariableFiles(domain).map(filePath => {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const encrypted = getVariableLists(data).flat().filter(v => isEncrypted(v.value));
+    if (!encrypted.length) return null;
+    encrypted.forEach(v => { v.value = encryptValue(decryptValue(v.value, oldKey), newKey); });
+    return { filePath, data };
+  }).filter(Boolean);
+
+  updates.forEach(({ filePath, data }) => {
+    const trailingNewline = path.basename(filePath) === 'script.json' ? '\n' : '';
+    fs.writeFileSync(filePath, `${JSON.stringify(data, null, 2)}${trailingNewline}`);
+    rewritten.push(filePath);
+  });
+  const fromEnv = !!process.env[SECRET_KEY_ENV];
+  if (!fromEnv) {
+    config.set('secretKey', newKey, domain);
+  }
+  return { secretKey: newKey, files: rewritten, fromEnv };
+}
+
+module.exports = {
+  ENCRYPTED_PREFIX,
+  SECRET_KEY_ENV,
+  isEncrypted,
+  generateSecretKey,
+  getSecretKey,
+  ensureSecretKey,
+  encryptValue,
+  decryptValue,
+  decryptVariables,
+  rotateSecretKey,
+};
@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Number of snapshots kept per environment; older ones are deleted
+const MAX_SNAPSHOTS = 50;
+
+function getSnapshotsDir(scriptFolder, env) {
+  return path.join(scriptFolder, '.snapshots', env);
+}
+
+function hashContent(value) {
+  return crypto.createHash('sha256').update(typeof value === 'string' ? value : JSON.stringify(value)).digest('hex');
+}
+
+/**
+ * Lists archived snapshots for an environment, newest first
+ * @param {string} scriptFolder - accounts/<domain>/<scriptPrefix>
+ * @param {string} env - 'dev' or 'prod'
+ * @returns {Array<Object>} Snapshot metadata ({ id, file, createdAt, bundleHash, stateHash })
+ */
+function listSnapshots(scriptFolder, env) {
+  const snapshotsDir = getSnapshotsDir(scriptFolder, env);
+  if (!fs.existsSync(snapshotsDir)) return [];
+  return fs.readdirSync(snapshotsDir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .reverse()
+    .map(file => {
+      const { id, createdAt, bundleHash, stateHash } = JSON.parse(fs.readFileSync(path.join(snapshotsDir, file), 'utf8'));
+      return { id, file: path.join(snapshotsDir, file), createdAt, bundleHash, stateHash };
+    });
+}
+
+/**
+ * Archives what was just uploaded (code + variables + lifecycleHooks).
+ * Skipped when it is identical to the latest snapshot.
+ * @param {string} scriptFolder - accounts/<domain>/<scriptPrefix>
+ * @param {string} env - 'dev' or 'prod'
+ * @param {Object} state - { code, variables, lifecycleHooks }
+ * @returns {Object|null} The new snapshot metadata, or null if nothing changed
+ */
+function recordSnapshot(scriptFolder, env, { code, variables, lifecycleHooks }) {
+  const bundleHash = hashContent(code);
+  const stateHash = hashContent({ bundleHash, variables, lifecycleHooks });
+  const [latest] = listSnapshots(scriptFolder, env);
+  if (latest && latest.stateHash === stateHash) return null;
+
+  const createdAt = new Date();
+  const id = `${createdAt.getTime()}-${bundleHash.slice(0, 8)}`;
+  const snapshotsDir = getSnapshotsDir(scriptFolder, env);
+  fs.mkdirSync(snapshotsDir, { recursive: true });
+  const snapshot = {
+    id,
+    env,
+    createdAt: createdAt.toISOString(),
+    bundleHash,
+    stateHash,
+    code,
+    variables,
+    lifecycleHooks,
+  };
+  fs.writeFileSync(path.join(snapshotsDir, `${id}.json`), JSON.stringify(snapshot, null, 2));
+
+  // Keep a rolling window of the most recent snapshots
+  listSnapshots(scriptFolder, env).slice(MAX_SNAPSHOTS).forEach(old => fs.unlinkSync(old.file));
+  return { id, createdAt: snapshot.createdAt, bundleHash, stateHash };
+}
+
+/**
+ * Resolves a snapshot by id, id prefix, bundle hash prefix, or 'previous'
+ * ('previous' is the newest snapshot that differs from the latest one)
+ * @param {string} scriptFolder - accounts/<domain>/<scriptPrefix>
+ * @param {string} env - 'dev' or 'prod'
+ * @param {string} target - Snapshot reference
+ * @returns {Object|null} Full snapshot ({ id, code, variables, lifecycleHooks, ... }) or null
+ */
+function loadSnapshot(scriptFolder, env, target) {
+  const snapshots = listSnapshots(scriptFolder, env);
+  let match;
+  if (target === 'previous') {
+    const [latest, ...older] = snapshots;
+    match = latest && older.find(s => s.stateHash !== latest.stateHash);
+  } else {
+    match = snapshots.find(s => s.id === target) ||
+      snapshots.find(s => s.id.startsWith(target) || s.bundleHash.startsWith(target));
+  }
+  if (!match) return null;
+  return JSON.parse(fs.readFileSync(match.file, 'utf8'));
+}
+
+module.exports = {
+  MAX_SNAPSHOTS,
+  hashContent,
+  getSnapshotsDir,
+  listSnapshots,
+  recordSnapshot,
+  loadSnapshot,
+};
@@ -1,4 +1,8 @@
 const io = require('socket.io-client');
+const config = require('../config/config');
+const { isJson, emit } = require('./output');
+const { loadSourceMap, mapStackLine, mapStack, formatExcerpt, findUserFrame } = require('./sourceMap');
+const { LEVELS, recordLog } = require('./runLogs');
 
 // Color and styling utilities
 const colors = {
@@ -53,22 +57,46 @@ function formatLogHeader(type, timestamp) {
   return `\n${config.color}${colors.bright}${header}${colors.reset}\n${config.color}${separator}${colors.reset}`;
 }
 
-function formatErrorStack(errorObj) {
+// sourceMap: optional result of loadSourceMap() used to point frames at index.js / lib/*.js
+function formatErrorStack(errorObj, sourceMap = null) {
   if (!errorObj || typeof errorObj !== 'object' || !errorObj.error || !errorObj.stack) {
     return errorObj;
   }
 
   // Format as natural JavaScript error output
   let output = `${colors.red}${errorObj.error}${colors.reset}\n`;
+  const frames = [];
   
   if (typeof errorObj.stack === 'string') {
     const stackLines = errorObj.stack.split('\n');
+    let skipBundleSnippet = false;
+    // Recorded logs (./script logs) were mapped when captured and carry their frames
+    const alreadyMapped = Array.isArray(errorObj.frames);
     
     for (const line of stackLines) {
       const trimmedLine = line.trim();
       
       // Skip empty lines
       if (!trimmedLine) continue;
+
+      // Translate bundle positions back to the original files
+      const mapped = sourceMap && mapStackLine(trimmedLine, sourceMap);
+      if (mapped) {
+        frames.push(...mapped.frames);
+        output += `${colors.gray}    ${mapped.text.startsWith('at ') ? '' : 'at '}${mapped.text}${colors.reset}\n`;
+        // vm headers ("evalmachine.<anonymous>:1") are followed by the bundled line, replaced by the excerpt below
+        skipBundleSnippet = !mapped.text.startsWith('at ');
+        continue;
+      }
+      if (sourceMap && (skipBundleSnippet || /^\^+$/.test(trimmedLine))) {
+        skipBundleSnippet = false;
+        continue;
+      }
+      
+      if (alreadyMapped && errorObj.frames.some(f => trimmedLine.includes(`${f.source}:${f.line}`))) {
+        output += `${colors.gray}    ${trimmedLine}${colors.reset}\n`;
+        continue;
+      }
       
       // Handle "at line X:Y" format
       if (trimmedLine.startsWith('at line')) {
@@ -89,11 +117,19 @@ function formatErrorStack(errorObj) {
       }
     }
   }
+
+  if (frames.length) {
+    const frame = findUserFrame(frames);
+    const excerpt = formatExcerpt(sourceMap, frame);
+    if (excerpt) {
+      output += `\n${colors.cyan}${frame.source}:${frame.line}:${frame.column}${colors.reset}\n${colors.dim}${excerpt}${colors.reset}\n`;
+    }
+  }
   
   return output.trim();
 }
 
-function printLogContent(payload, logType) {
+function printLogContent(payload, logType, sourceMap = null) {
   if (payload && typeof payload === 'object') {
     // Handle message content
     if ('message' in payload) {
@@ -112,7 +148,7 @@ function printLogContent(payload, logType) {
     if ('object' in payload) {
       if (payload.object && payload.object.error && payload.object.stack) {
         // Format as natural error stack
-        console.log(formatErrorStack(payload.object));
+        console.log(formatErrorStack(payload.object, sourceMap));
       } else {
         // Regular object formatting
         console.dir(payload.object, { 
@@ -132,7 +168,7 @@ function printLogContent(payload, logType) {
         
         if (obj && obj.error && obj.stack) {
           // Format as natural error stack
-          console.log(formatErrorStack(obj));
+          console.log(formatErrorStack(obj, sourceMap));
         } else {
           // Regular object formatting
           console.dir(obj, { 
@@ -165,14 +201,67 @@ function printLogContent(payload, logType) {
   }
 }
 
-function listenScriptLog(domain, scriptName, env, apiKey, onConnect) {
-  const scriptCode = `${scriptName}-${env}`;
+// Returns the payload with error stacks rewritten to original file positions (plus their frames)
+function mapPayloadStacks(payload, sourceMap) {
+  if (!sourceMap || !payload || typeof payload !== 'object') return payload;
+  const mapObject = (obj) => {
+    if (!obj || typeof obj.stack !== 'string') return obj;
+    const { stack, frames } = mapStack(obj.stack, sourceMap);
+    return frames.length ? { ...obj, stack, frames } : obj;
+  };
+  const mapped = { ...payload };
+  if ('object' in mapped) mapped.object = mapObject(mapped.object);
+  if (Array.isArray(mapped.objects)) mapped.objects = mapped.objects.map(mapObject);
+  return mapped;
+}
+
+/**
+ * Prints one script log entry (header + content), or emits it as a log event in --json mode.
+ * The entry is also recorded in the active run log (see runLogs.js).
+ * @param {string} type - 'log', 'error', 'warn' or 'info'
+ * @param {Object} payload - { message, object, objects } as sent on the scriptLog channel
+ * @param {Object} [options]
+ * @param {string} [options.source='remote'] - 'remote' (socket), 'local' (sandbox) or 'history' (/v2/log)
+ * @param {string} [options.bundlePath] - Bundle whose source map translates error stacks
+ * @param {Date} [options.timestamp] - When the entry was logged (default: now, for live logs)
+ */
+function printLog(type, payload, { source = 'remote', bundlePath, timestamp } = {}) {
+  const sourceMap = bundlePath ? loadSourceMap(bundlePath) : null;
+  const mappedPayload = mapPayloadStacks(payload, sourceMap);
+  recordLog(type, mappedPayload, source);
+  if (isJson()) {
+    emit('log', { level: type, source, payload: mappedPayload, ...(timestamp ? { loggedAt: timestamp.toISOString() } : {}) });
+    return;
+  }
+  console.log(formatLogHeader(type, timestamp || new Date()));
+  printLogContent(payload, type, sourceMap);
+}
+
+/**
+ * Subscribes to a script's scriptLog-<scriptCode> channel and prints every log entry.
+ * socket.io reconnects on its own; disconnects, retries and the gap while offline are reported.
+ * @param {string} domain - Domain (e.g., 'dev11.prolibu.com')
+ * @param {string} scriptName - Script prefix, used to find dist/<env>/bundle.js.map
+ * @param {string} env - 'dev' or 'prod'
+ * @param {string} apiKey - API key for the socket handshake
+ * @param {Function} [onConnect] - Called once, on the first connection
+ * @param {Object} [options]
+ * @param {string} [options.scriptCode] - Channel to follow (default: <scriptName>-<env>)
+ * @param {string} [options.level] - Minimum level printed: 'log'/'info', 'warn' or 'error'
+ * @returns {Object} The socket.io client socket
+ */
+function listenScriptLog(domain, scriptName, env, apiKey, onConnect, options = {}) {
+  const scriptCode = options.scriptCode || `${scriptName}-${env}`;
+  const minLevel = options.level ? LEVELS[options.level] : 0;
   const channel = `private-scriptLog-${scriptCode}`;
   const originUrl = domain.startsWith('http') ? domain : `https://${domain}`;
+  // Source map written by the last build of env, used to translate remote stack traces
+  const bundlePath = scriptName && config.getBundlePath(domain, scriptName, env);
   console.log(`[SOCKET] Attempting to connect to: ${originUrl}`);
   console.log(`[SOCKET] Using channel: ${channel}`);
   
   let isFirstConnection = true;
+  let disconnectedAt = null;
   
   const socket = io(originUrl, {
     transports: ['websocket'],
@@ -183,13 +272,19 @@ function listenScriptLog(domain, scriptName, env, apiKey, onConnect) {
   });
 
   socket.on('connect', () => {
+    emit('socket', { status: 'connected', scriptCode, reconnect: !isFirstConnection });
     if (isFirstConnection) {
       console.log(`[SOCKET] Connected to ${originUrl}`);
       isFirstConnection = false;
       if (typeof onConnect === 'function') onConnect();
     } else {
+      const gap = disconnectedAt ? Math.round((Date.now() - disconnectedAt) / 1000) : 0;
       console.log(`${colors.green}[SOCKET] Reconnected to ${originUrl}${colors.reset}`);
+      if (gap) {
+        console.log(`${colors.yellow}[SOCKET] Logs emitted during the last ${gap}s offline were not received${colors.reset}`);
+      }
     }
+    disconnectedAt = null;
   });
 
   // socket.onAny((eventName, ...args) => {
@@ -197,38 +292,30 @@ function listenScriptLog(domain, scriptName, env, apiKey, onConnect) {
   // });
 
   // Handle specific log type events
-  socket.on('log', (payload) => {
-    const timestamp = new Date();
-    console.log(formatLogHeader('log', timestamp));
-    printLogContent(payload, 'log');
+  ['log', 'error', 'warn', 'info'].forEach(type => {
+    socket.on(type, (payload) => {
+      if (LEVELS[type] < minLevel) return;
+      printLog(type, payload, { bundlePath });
+    });
   });
 
-  socket.on('error', (payload) => {
-    const timestamp = new Date();
-    console.log(formatLogHeader('error', timestamp));
-    printLogContent(payload, 'error');
+  socket.on('disconnect', (reason) => {
+    disconnectedAt = disconnectedAt || Date.now();
+    emit('socket', { status: 'disconnected', scriptCode, reason });
+    console.log(`${colors.red}[SOCKET] Disconnected (${reason})${colors.reset}`);
   });
 
-  socket.on('warn', (payload) => {
-    const timestamp = new Date();
-    console.log(formatLogHeader('warn', timestamp));
-    printLogContent(payload, 'warn');
-  });
-
-  socket.on('info', (payload) => {
-    const timestamp = new Date();
-    console.log(formatLogHeader('info', timestamp));
-    printLogContent(payload, 'info');
-  });
-
-  socket.on('disconnect', () => {
-    console.log(`${colors.red}[SOCKET] Disconnected${colors.reset}`);
+  socket.io.on('reconnect_attempt', (attempt) => {
+    emit('socket', { status: 'reconnecting', scriptCode, attempt });
+    console.log(`${colors.gray}[SOCKET] Reconnecting (attempt ${attempt})...${colors.reset}`);
   });
 
   socket.on('connect_error', (err) => {
     console.error(`${colors.gray}[SOCKET] Connection error: ${err.message} ${colors.reset}`);
     // console.error(`         Domain: ${originUrl} Channel: ${channel}`);
   });
+
+  return socket;
 }
 
-module.exports = { listenScriptLog };
+module.exports = { listenScriptLog, formatLogHeader, formatErrorStack, printLogContent, printLog };
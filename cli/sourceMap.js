@@ -0,0 +1,148 @@
+const fs = require('fs');
+const path = require('path');
+const { SourceMap } = require('module');
+
+// Bundle positions in remote and vm stacks: "evalmachine.<anonymous>:12:5" or the server's "at line 12:5"
+const POSITION_PATTERN = /(evalmachine\.<anonymous>:|\bline )(\d+)(?::(\d+))?/g;
+
+// Max columns scanned for the first mapping of a line when a stack position has no column
+const MAX_INDENT_PROBE = 200;
+
+const cache = new Map();
+
+/**
+ * Loads the source map esbuild wrote next to a bundle (dist/<env>/bundle.js.map), cached until it changes
+ * @param {string} bundlePath - accounts/<domain>/<scriptPrefix>/dist/<env>/bundle.js
+ * @returns {Object|null} { sourceMap, sources, sourcesContent, scriptFolder }, or null if there is no map
+ */
+function loadSourceMap(bundlePath) {
+  const mapPath = `${bundlePath}.map`;
+  if (!fs.existsSync(mapPath)) return null;
+  const { mtimeMs } = fs.statSync(mapPath);
+  const cached = cache.get(mapPath);
+  if (cached && cached.mtimeMs === mtimeMs) return cached.map;
+
+  let payload;
+  try {
+    payload = JSON.parse(fs.readFileSync(mapPath, 'utf8'));
+  } catch {
+    return null;
+  }
+  const map = {
+    sourceMap: new SourceMap(payload),
+    sources: payload.sources || [],
+    sourcesContent: payload.sourcesContent || [],
+    mapDir: path.dirname(mapPath),
+    scriptFolder: path.resolve(path.dirname(bundlePath), '..', '..'),
+  };
+  cache.set(mapPath, { mtimeMs, map });
+  return map;
+}
+
+// Without a column ("evalmachine.<anonymous>:12") use the first mapping on the line:
+// findEntry() falls back to the previous line while the column is still in the indentation
+function findLineEntry(map, line) {
+  for (let column = 0; column < MAX_INDENT_PROBE; column++) {
+    const entry = map.sourceMap.findEntry(line - 1, column);
+    if (entry && entry.generatedLine === line - 1) return entry;
+  }
+  return null;
+}
+
+/**
+ * Translates a 1-based bundle position to the original file, relative to the script folder
+ * @param {Object} map - Result of loadSourceMap()
+ * @param {number} line - Bundle line
+ * @param {number} [column] - Bundle column; when omitted the first mapping on the line is used
+ * @returns {Object|null} { source, line, column, exact } (1-based), or null if the position is not mapped
+ */
+function originalPosition(map, line, column) {
+  const entry = column ? map.sourceMap.findEntry(line - 1, column - 1) : findLineEntry(map, line);
+  if (!entry || entry.originalSource === undefined) return null;
+  const absolute = path.resolve(map.mapDir, entry.originalSource);
+  return {
+    source: path.relative(map.scriptFolder, absolute),
+    sourceIndex: map.sources.indexOf(entry.originalSource),
+    line: entry.originalLine + 1,
+    column: entry.originalColumn + 1,
+    exact: !!column,
+  };
+}
+
+/**
+ * Rewrites bundle positions in one stack line, e.g. "at line 1:103" -> "at lib/h.js:3:11"
+ * @param {string} line - Stack line
+ * @param {Object} map - Result of loadSourceMap()
+ * @returns {{ text: string, frames: Array<Object> }|null} null when the line has no mappable position
+ */
+function mapStackLine(line, map) {
+  const frames = [];
+  const text = line.replace(POSITION_PATTERN, (match, prefix, lineNo, columnNo) => {
+    const frame = originalPosition(map, Number(lineNo), columnNo && Number(columnNo));
+    if (!frame) return match;
+    frames.push(frame);
+    // Keep the "line " word out of the result so "at line 12:5" reads "at index.js:8:3"
+    return `${frame.source}:${frame.line}${columnNo ? `:${frame.column}` : ''}`;
+  });
+  return frames.length ? { text, frames } : null;
+}
+
+/**
+ * Rewrites every bundle position in a stack trace
+ * @param {string} stack - Stack trace as sent by the server or thrown in the local sandbox
+ * @param {Object} map - Result of loadSourceMap()
+ * @returns {{ stack: string, frames: Array<Object> }} Mapped stack and the original frames, outermost last
+ */
+function mapStack(stack, map) {
+  const frames = [];
+  const lines = String(stack).split('\n').map(line => {
+    const mapped = mapStackLine(line, map);
+    if (!mapped) return line;
+    frames.push(...mapped.frames);
+    return mapped.text;
+  });
+  return { stack: lines.join('\n'), frames };
+}
+
+/**
+ * Returns the original source lines around a frame, with the failing line and column marked
+ * @param {Object} map - Result of loadSourceMap()
+ * @param {Object} frame - Frame from mapStack()
+ * @param {number} [context=2] - Lines shown before and after
+ * @returns {string} Excerpt, or '' when the map has no content for the source
+ */
+function formatExcerpt(map, frame, context = 2) {
+  const content = map.sourcesContent[frame.sourceIndex];
+  if (typeof content !== 'string') return '';
+  const lines = content.split('\n');
+  const first = Math.max(frame.line - context, 1);
+  const last = Math.min(frame.line + context, lines.length);
+  const width = String(last).length;
+  const out = [];
+  for (let n = first; n <= last; n++) {
+    const marker = n === frame.line ? '>' : ' ';
+    out.push(`${marker} ${String(n).padStart(width)} | ${lines[n - 1]}`);
+    if (n === frame.line) {
+      out.push(`  ${' '.repeat(width)} | ${' '.repeat(frame.column - 1)}^`);
+    }
+  }
+  return out.join('\n');
+}
+
+// Frame to show an excerpt for: the first one with a column in the script's own files
+// (index.js, lib/...), skipping bundled node_modules
+function findUserFrame(frames) {
+  const isUserCode = frame => !frame.source.split(path.sep).includes('node_modules');
+  return frames.find(frame => frame.exact && isUserCode(frame)) ||
+    frames.find(isUserCode) ||
+    frames[0];
+}
+
+module.exports = {
+  loadSourceMap,
+  originalPosition,
+  mapStackLine,
+  mapStack,
+  formatExcerpt,
+  findUserFrame,
+};
@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+
+// Named templates live in templates/registry/<name>/ and are copied over the shared files in templates/
+const REGISTRY_FOLDER = 'registry';
+const DEFAULT_TEMPLATE = 'api-run';
+
+function getTemplatesDir() {
+  return path.join(process.cwd(), 'templates');
+}
+
+/**
+ * Lists the templates in templates/registry, each described by its template.json
+ * @returns {Array<{ name: string, description: string }>} Sorted by name
+ */
+function listTemplates() {
+  const registryDir = path.join(getTemplatesDir(), REGISTRY_FOLDER);
+  if (!fs.existsSync(registryDir)) return [];
+  return fs.readdirSync(registryDir)
+    .filter(name => fs.existsSync(path.join(registryDir, name, 'template.json')))
+    .sort()
+    .map(name => {
+      let manifest = {};
+      try {
+        manifest = JSON.parse(fs.readFileSync(path.join(registryDir, name, 'template.json'), 'utf8'));
+      } catch {
+        // A broken template.json only loses the description
+      }
+      return { name, description: manifest.description || '' };
+    });
+}
+
+/**
+ * Copies a template into a script folder: the shared files in templates/ first, then the
+ * template's own files, which replace shared ones with the same path (index.js, script.json...)
+ * @param {string} name - Template name, e.g. 'scheduled'
+ * @param {string} destDir - accounts/<domain>/<scriptPrefix>
+ * @returns {Array<string>} Copied files, relative to destDir
+ * @throws {Error} If the template does not exist
+ */
+function copyTemplate(name, destDir) {
+  const templatesDir = getTemplatesDir();
+  const templateDir = path.join(templatesDir, REGISTRY_FOLDER, name);
+  if (!fs.existsSync(path.join(templateDir, 'template.json'))) {
+    const available = listTemplates().map(t => t.name);
+    throw new Error(`Template '${name}' not found in templates/${REGISTRY_FOLDER}` +
+      (available.length ? `. Available: ${available.join(', ')}` : ''));
+  }
+
+  const copied = new Set();
+  const copyFolder = (srcDir, skip) => {
+    for (const item of fs.readdirSync(srcDir, { recursive: true })) {
+      const src = path.join(srcDir, item);
+      if (skip(item) || fs.statSync(src).isDirectory()) continue;
+      fs.mkdirSync(path.dirname(path.join(destDir, item)), { recursive: true });
+      fs.copyFileSync(src, path.join(destDir, item));
+      copied.add(item);
+    }
+  };
+  copyFolder(templatesDir, item => item.split(path.sep)[0] === REGISTRY_FOLDER);
+  copyFolder(templateDir, item => item === 'template.json');
+  return [...copied].sort();
+}
+
+module.exports = {
+  DEFAULT_TEMPLATE,
+  listTemplates,
+  copyTemplate,
+};
@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+
+// Plain text credentials, merged over script.json and never committed
+const SECRET_VARIABLES_FILE = 'variables.secret.json';
+// Variable layers merged at upload time, lowest precedence first ({env} is 'dev' or 'prod')
+const VARIABLE_LAYERS = ['script.json variables', 'script.json environments.{env}.variables', SECRET_VARIABLES_FILE];
+// Files that may hold plain text secrets and must stay out of the script's git repo
+// (.snapshots/ archives the variables uploaded with each bundle, .logs/ records run output)
+const SECRET_FILES = [SECRET_VARIABLES_FILE, '.snapshots/', '.logs/'];
+
+// Merges [{ key, value }] arrays; later layers override earlier ones by key
+function mergeVariables(...layers) {
+  const merged = new Map();
+  for (const layer of layers) {
+    for (const { key, value } of layer || []) {
+      merged.set(key, { key, value });
+    }
+  }
+  return [...merged.values()];
+}
+
+// Reads a [{ key, value }] variables file from the script folder, or [] if it does not exist
+function readVariablesFile(scriptFolder, file) {
+  const filePath = path.join(scriptFolder, file);
+  if (!fs.existsSync(filePath)) return [];
+  let variables;
+  try {
+    variables = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Invalid JSON in ${file}: ${err.message}`);
+  }
+  if (!Array.isArray(variables)) {
+    throw new Error(`${file} must be an array of { key, value } objects`);
+  }
+  return variables;
+}
+
+// Describes the layers for an environment, e.g. "script.json environments.prod.variables" for 'prod'
+function getVariableLayers(env) {
+  return VARIABLE_LAYERS.map(layer => layer.replace('{env}', env));
+}
+
+/**
+ * Loads and merges the variable layers for an environment: the shared and environment variables
+ * of script.json, then variables.secret.json
+ * @param {string} scriptFolder - accounts/<domain>/<scriptPrefix>
+ * @param {string} env - 'dev' or 'prod'
+ * @returns {Array<{key: string, value: *}>} Merged variables
+ * @throws {Error} If script.json is invalid, or variables.secret.json is not valid JSON or not an array
+ */
+function loadVariables(scriptFolder, env) {
+  // Required here: manifest.js uses mergeVariables from this module
+  const { loadManifest, resolveEnvironment } = require('./manifest');
+  const { variables } = resolveEnvironment(loadManifest(scriptFolder), env);
+  return mergeVariables(variables, readVariablesFile(scriptFolder, SECRET_VARIABLES_FILE));
+}
+
+/**
+ * Finds variable names the script requires through getRequiredVars({ name: 'variableKey' })
+ * @param {string} code - Unminified bundled code
+ * @returns {Array<string>} Required variable keys
+ */
+function findRequiredVariables(code) {
+  const required = new Set();
+  const callPattern = /getRequiredVars\)?\s*\(\s*\{([^{}]*)\}/g;
+  const valuePattern = /:\s*(['"`])([^'"`]+)\1/g;
+  let call;
+  while ((call = callPattern.exec(code))) {
+    let value;
+    while ((value = valuePattern.exec(call[1]))) {
+      required.add(value[2]);
+    }
+  }
+  return [...required];
+}
+
+// Returns the required keys that are missing or empty in the merged variables
+function findMissingVariables(variables, requiredKeys) {
+  return requiredKeys.filter(key => {
+    const found = variables.find(v => v.key === key);
+    return !found || !found.value;
+  });
+}
+
+// Appends SECRET_FILES to the script folder's .gitignore when missing
+function ensureSecretsIgnored(scriptFolder) {
+  const gitignorePath = path.join(scriptFolder, '.gitignore');
+  const current = fs.existsSync(gitignorePath) ? fs.readFileSync(gitignorePath, 'utf8') : '';
+  const lines = current.split('\n').map(line => line.trim());
+  const missing = SECRET_FILES.filter(file => !lines.includes(file));
+  if (!missing.length) return false;
+  const prefix = current && !current.endsWith('\n') ? '\n' : '';
+  fs.writeFileSync(gitignorePath, `${current}${prefix}${missing.join('\n')}\n`);
+  return true;
+}
+
+module.exports = {
+  SECRET_VARIABLES_FILE,
+  VARIABLE_LAYERS,
+  SECRET_FILES,
+  mergeVariables,
+  readVariablesFile,
+  getVariableLayers,
+  loadVariables,
+  findRequiredVariables,
+  findMissingVariables,
+  ensureSecretsIgnored,
+};
@@ -1,42 +1,88 @@
 const fs = require('fs');
 const path = require('path');
 
-function getProfilePath(domain) {
-  return path.join(process.cwd(), 'accounts', domain, 'profile.json');
+const API_KEY_ENV = 'PROLIBU_API_KEY';
+const PROFILE_ENV = 'PROLIBU_PROFILE';
+
+// Auth settings for the current CLI invocation, set once from flags by index.js
+const auth = {
+  apiKey: undefined,
+  profile: undefined,
+};
+
+function configure({ apiKey, profile } = {}) {
+  auth.apiKey = apiKey || undefined;
+  auth.profile = profile || undefined;
+}
+
+// Named profile in use: --profile, then PROLIBU_PROFILE; undefined means the default profile.json
+function getActiveProfile() {
+  return auth.profile || process.env[PROFILE_ENV] || undefined;
+}
+
+// accounts/<domain>/profile.json for the default profile, profile.<name>.json for named ones
+function getProfilePath(domain, profile) {
+  const fileName = profile && profile !== 'default' ? `profile.${profile}.json` : 'profile.json';
+  return path.join(process.cwd(), 'accounts', domain, fileName);
 }
 
-function ensureConfig(domain) {
-  const profilePath = getProfilePath(domain);
+function ensureConfig(domain, profile) {
+  const profilePath = getProfilePath(domain, profile);
   if (!fs.existsSync(profilePath)) {
     fs.mkdirSync(path.dirname(profilePath), { recursive: true });
     fs.writeFileSync(profilePath, JSON.stringify({ apiKey: '' }, null, 2));
   }
 }
 
-function get(key, domain) {
-  const profilePath = getProfilePath(domain);
+function get(key, domain, profile) {
+  const profilePath = getProfilePath(domain, profile);
   if (!fs.existsSync(profilePath)) return undefined;
-  const profile = JSON.parse(fs.readFileSync(profilePath, 'utf8'));
-  return profile[key];
+  const profileData = JSON.parse(fs.readFileSync(profilePath, 'utf8'));
+  return profileData[key];
 }
 
-function set(key, value, domain) {
-  const profilePath = getProfilePath(domain);
-  ensureConfig(domain);
-  const profile = JSON.parse(fs.readFileSync(profilePath, 'utf8'));
-  profile[key] = value;
-  fs.writeFileSync(profilePath, JSON.stringify(profile, null, 2));
+function set(key, value, domain, profile) {
+  const profilePath = getProfilePath(domain, profile);
+  ensureConfig(domain, profile);
+  const profileData = JSON.parse(fs.readFileSync(profilePath, 'utf8'));
+  profileData[key] = value;
+  fs.writeFileSync(profilePath, JSON.stringify(profileData, null, 2));
   if (key === 'apiKey') {
     console.log(`[DEBUG] apiKey for domain '${domain}' saved to ${profilePath}`);
   }
 }
 
+/**
+ * Resolves the API key for a domain: --apikey flag, then PROLIBU_API_KEY, then the active profile file
+ * @param {string} domain - Domain (e.g., 'dev11.prolibu.com')
+ * @returns {string|undefined} API key
+ */
+function getApiKey(domain) {
+  return auth.apiKey || process.env[API_KEY_ENV] || get('apiKey', domain, getActiveProfile());
+}
+
+// Saves the API key to the active profile file
+function setApiKey(apiKey, domain) {
+  set('apiKey', apiKey, domain, getActiveProfile());
+}
+
 function getScriptCodePath(domain, scriptName) {
   return path.join(process.cwd(), 'accounts', domain, scriptName, 'code.js');
 }
 
+// Entry file of a script: <fileName>.ts when it exists, otherwise <fileName>.js.
+// A fileName that already has an extension (--file index.ts) is used as is
 function getScriptEntryPath(domain, scriptName, fileName = 'index') {
-  return path.join(process.cwd(), 'accounts', domain, scriptName, `${fileName}.js`);
+  const scriptFolder = path.join(process.cwd(), 'accounts', domain, scriptName);
+  if (/\.(js|ts)$/.test(fileName)) return path.join(scriptFolder, fileName);
+  const tsPath = path.join(scriptFolder, `${fileName}.ts`);
+  return fs.existsSync(tsPath) ? tsPath : path.join(scriptFolder, `${fileName}.js`);
+}
+
+// Bundle an environment's build writes, with its source map next to it: dev and prod each keep
+// their own so a prod build does not replace the map dev stack traces are translated with
+function getBundlePath(domain, scriptName, env) {
+  return path.join(process.cwd(), 'accounts', domain, scriptName, 'dist', env, 'bundle.js');
 }
 
 function ensureScriptCode(domain, scriptName, fileName = 'index') {
@@ -60,12 +106,19 @@ function writeScriptCode(domain, scriptName, code, fileName = 'index') {
 }
 
 module.exports = {
+  API_KEY_ENV,
+  PROFILE_ENV,
+  configure,
+  getActiveProfile,
+  getApiKey,
+  setApiKey,
   get,
   set,
   getProfilePath,
   ensureConfig,
   getScriptCodePath,
   getScriptEntryPath,
+  getBundlePath,
   ensureScriptCode,
   readScriptCode,
   writeScriptCode,
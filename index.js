@@ -1,67 +1,221 @@
 #!/usr/bin/env node
 
 
-const { runPrompts } = require('./cli/prompts');
-const { runDevScript, createScript, minifyScript } = require('./cli/commands');
+const { runPrompts, ask, configurePrompts, isInteractive } = require('./cli/prompts');
+const {
+  runDevScript,
+  runRemoteScript,
+  migrateScript,
+  runLocalDevScript,
+  pullScript,
+  statusScript,
+  promoteScript,
+  rollbackScript,
+  showRunLogs,
+  tailScript,
+  historyScript,
+  analyzeScript,
+  checkScript,
+  previewSchedule,
+  callScriptEndpoint,
+  verifyApiKey,
+  setSecretVariable,
+  getSecretVariable,
+  setGitRepositoryUrl,
+  setGitRemote,
+  createScript,
+  minifyScript,
+} = require('./cli/commands');
 const { parseFlags } = require('./cli/flags');
+const { loadEventFixture } = require('./cli/events');
+const { ensureSecretsIgnored } = require('./cli/variables');
+const { updateManifest } = require('./cli/manifest');
+const { DEFAULT_TEMPLATE, listTemplates, copyTemplate } = require('./cli/templates');
+const { initLocalRepository } = require('./cli/gitRepo');
+const { configureOutput, emit, childStdio } = require('./cli/output');
+const config = require('./config/config');
 
 const argv = process.argv;
 const flags = parseFlags(argv);
+configureOutput({ json: flags.json });
+config.configure({ apiKey: flags.apikey, profile: flags.profile });
+// Prompts would corrupt the NDJSON stream, so --json never asks for input
+configurePrompts({ nonInteractive: flags.yes || flags.json, force: flags.force });
 const args = argv.slice(2);
 const command = args[0];
 
 
-
+// Loads an events/ fixture for --event, exiting with a clear error if it is missing or invalid
+function loadFixtureOrExit(domain, scriptPrefix, fixture) {
+  try {
+    return loadEventFixture(domain, scriptPrefix, fixture);
+  } catch (err) {
+    console.error(`[ERROR] ${err.message}`);
+    process.exit(1);
+  }
+}
 
 (async () => {
   if (!command) {
     // No command: show help
-    console.log('Usage: ./script <dev|prod|create|import|test> [options]');
+    console.log('Usage: ./script <dev|prod|run|logs|tail|history|analyze|check|schedule|endpoint|pull|status|promote|rollback|secret|git|migrate|login|create|import|test> [options]');
     console.log('Commands:');
     console.log('  create   Create a new script (interactive or one-liner)');
     console.log('  dev      Run script in dev mode');
     console.log('  prod     Run script in prod mode');
+    console.log('  run      Run a script once (remote, or local sandbox with --local)');
+    console.log('  logs     Replay, filter and export recorded runs');
+    console.log('  tail     Stream logs from a deployed script (read-only)');
+    console.log('  history  Search past executions of a deployed script in /v2/log');
+    console.log('  analyze  Report bundle size per module, duplicates and the size budget');
+    console.log('  check    Check a script for sandbox pitfalls (also run before every upload)');
+    console.log('  schedule Preview the next runs of the ScheduledTask schedule in script.json');
+    console.log('  endpoint Call a custom endpoint of a script: endpoint call <route>');
     console.log('  import   Import script from git repo');
+    console.log('  pull     Download a deployed script into the local accounts tree');
+    console.log('  status   Compare local files with the deployed dev and prod scripts');
+    console.log('  promote  Promote the deployed dev script to prod and record a release');
+    console.log('  rollback Re-upload a previously deployed bundle snapshot');
+    console.log('  login    Validate an API key and save it to a profile');
+    console.log('  secret   Manage encrypted variables: secret set <key> [value] | get <key> | rotate');
+    console.log('  git      Attach a git repository to a script: git remote set <url>');
+    console.log('  migrate  Merge legacy config.json, variables*.json and lifecycleHooks.json into script.json');
     console.log('  test     Run tests for a script');
+    console.log('Global options:');
+    console.log('  --profile <name>         Use accounts/<domain>/profile.<name>.json (or PROLIBU_PROFILE)');
+    console.log('  --apikey <apiKey>        API key for this run (or PROLIBU_API_KEY)');
+    console.log('  --yes, --non-interactive Never prompt: missing values are errors, keyboard shortcuts are off');
+    console.log('  --force                  Confirm destructive actions (overwrite, delete) without asking');
+    console.log('  --json                   Print newline-delimited JSON events on stdout (human output goes to stderr)');
     console.log('Options for create:');
     console.log('  --domain <domain>');
     console.log('  --scriptPrefix <scriptPrefix>');
     console.log('  --repo <gitRepo>');
+    console.log('  --local                  No repository: git init locally (attach one later with git remote set)');
+    console.log(`  --template <name>        Scaffold from templates/registry (default: ${DEFAULT_TEMPLATE})`);
+    console.log(`                           ${listTemplates().map(t => t.name).join(', ')}`);
     console.log('  --lifecycleHooks <hooks>');
     console.log('  --apikey <apiKey>');
     console.log('Options for dev/prod:');
     console.log('  --domain <domain>');
     console.log('  --scriptPrefix <scriptPrefix>');
-    console.log('  --file <fileName>        Entry file name (default: index)');
+    console.log('  --file <fileName>        Entry file name, .ts or .js (default: index)');
     console.log('  --watch, -w              Watch for changes and sync');
+    console.log('  --event <fixture>        Run with eventName/eventData from events/<fixture>.json');
+    console.log('Options for run:');
+    console.log('  --domain <domain>');
+    console.log('  --scriptPrefix <scriptPrefix>');
+    console.log('  --env <dev|prod>         Environment to run (default: dev)');
+    console.log('  --file <fileName>        Entry file name, .ts or .js (default: index)');
+    console.log('  --local                  Bundle and run in a local sandbox (no upload)');
+    console.log('  --event <fixture>        Run with eventName/eventData from events/<fixture>.json');
+    console.log('Options for logs:');
+    console.log('  --domain <domain>');
+    console.log('  --scriptPrefix <scriptPrefix>');
+    console.log('  --env <dev|prod>         Runs to read (default: dev)');
+    console.log('  --run <id|latest|all>    Run to replay (default: latest)');
+    console.log('  --level <log|warn|error> Only show logs at this level or more severe');
+    console.log('  --grep <pattern>         Only show logs matching a case-insensitive pattern');
+    console.log('  --list                   List recorded runs instead of replaying one');
+    console.log('Options for tail (./script tail [scriptCode]):');
+    console.log('  --domain <domain>');
+    console.log('  --scriptPrefix <scriptPrefix>    Follows <scriptPrefix>-<env> when no scriptCode is given');
+    console.log('  --env <dev|prod>         Environment to follow (default: prod)');
+    console.log('  --level <log|warn|error> Only show logs at this level or more severe');
+    console.log('Options for history (./script history [scriptCode]):');
+    console.log('  --domain <domain>');
+    console.log('  --scriptPrefix <scriptPrefix>    Searches <scriptPrefix>-<env> when no scriptCode is given');
+    console.log('  --env <dev|prod>         Environment to search (default: prod)');
+    console.log('  --since <30m|12h|7d|date> Start of the range (default: 24h)');
+    console.log('  --until <30m|12h|7d|date> End of the range (default: now)');
+    console.log('  --level <log|warn|error> Only show logs at this level or more severe');
+    console.log('  --page <n>, --limit <n>  Page to show and entries per page (default: 1, 50)');
+    console.log('  --all                    Fetch every page in the range');
+    console.log('Options for check:');
+    console.log('  --domain <domain>');
+    console.log('  --scriptPrefix <scriptPrefix>');
+    console.log('  --file <fileName>        Entry file name, .ts or .js (default: index)');
+    console.log('Options for analyze:');
+    console.log('  --domain <domain>');
+    console.log('  --scriptPrefix <scriptPrefix>');
+    console.log('  --env <dev|prod>         Bundle to analyze (default: prod)');
+    console.log('  --file <fileName>        Entry file name, .ts or .js (default: index)');
+    console.log('  --limit <n>              Modules listed, largest first (default: 20)');
+    console.log('  --all                    List every module');
+    console.log('Options for schedule:');
+    console.log('  --domain <domain>');
+    console.log('  --scriptPrefix <scriptPrefix>');
+    console.log('  --env <dev|prod>         Environment whose schedule to preview (default: prod)');
+    console.log('  --count <n>              Runs listed (default: 5)');
+    console.log('Options for endpoint (./script endpoint call <route>):');
+    console.log('  --domain <domain>');
+    console.log('  --scriptPrefix <scriptPrefix>');
+    console.log('  --env <dev|prod>         Environment whose script.json endpoints to look the route up in (default: dev)');
+    console.log('  --method <method>        GET, POST, PUT or DELETE (default: the declared one, or POST)');
+    console.log('  --body <json|@file>      JSON body, or @path to read it from a file (query string for GET)');
+    console.log('Options for pull:');
+    console.log('  --domain <domain>');
+    console.log('  --scriptPrefix <scriptPrefix>');
+    console.log('  --env <dev|prod>         Script to download (default: dev)');
+    console.log('  --file <fileName>        File to write the code to (default: index)');
+    console.log('  --force                  Overwrite changed local files without confirmation');
+    console.log('Options for status:');
+    console.log('  --domain <domain>');
+    console.log('  --scriptPrefix <scriptPrefix>');
+    console.log('  --file <fileName>        Entry file name, .ts or .js (default: index)');
+    console.log('  --diff                   Show a diff for every drifted field');
+    console.log('Options for promote:');
+    console.log('  --domain <domain>');
+    console.log('  --scriptPrefix <scriptPrefix>');
+    console.log('Options for rollback:');
+    console.log('  --domain <domain>');
+    console.log('  --scriptPrefix <scriptPrefix>');
+    console.log('  --env <dev|prod>         Script to roll back (default: dev)');
+    console.log('  --to <id|previous>       Snapshot to restore (prompts when omitted)');
+    console.log('Options for secret:');
+    console.log('  --domain <domain>');
+    console.log('  --scriptPrefix <scriptPrefix>    Not needed for rotate');
+    console.log('  --env <dev|prod>         set: write to environments.<env>.variables in script.json; get: env to resolve (default: dev)');
+    console.log('Options for git (./script git remote set <url>):');
+    console.log('  --domain <domain>');
+    console.log('  --scriptPrefix <scriptPrefix>    Sets origin, git.repositoryUrl in script.json and git on <scriptPrefix>-dev/-prod');
+    console.log('Options for migrate:');
+    console.log('  --domain <domain>');
+    console.log('  --scriptPrefix <scriptPrefix>');
+    console.log('Options for login:');
+    console.log('  --domain <domain>');
+    console.log('  --profile <name>         Profile to save the key to (default: profile.json)');
+    console.log('  --apikey <apiKey>        Key to validate (prompts when missing)');
     console.log('Options for test:');
     console.log('  --domain <domain>');
     console.log('  --scriptPrefix <scriptPrefix>');
     console.log('  --file <testFileName>    Test file name (default: index)');
     console.log('  --watch                  Watch for changes and re-run tests');
+    console.log('  --event <fixture>        Expose events/<fixture>.json to tests as EVENT_FIXTURE');
     return;
   }
 
   if (command === 'test') {
-    const inquirer = await import('inquirer');
     let domain = flags.domain;
     let scriptPrefix = flags.scriptPrefix;
     let testFileName = flags.file || 'index'; // Default to 'index' if no --file specified
     const watchFlag = typeof flags.watch !== 'undefined' || args.includes('--watch');
     // Interactive prompts for missing values
     if (!domain) {
-      const response = await inquirer.default.prompt({
+      const response = await ask({
         type: 'input',
         name: 'domain',
+        flag: '--domain',
         message: 'Enter domain:',
         validate: input => input ? true : 'Domain is required.'
       });
       domain = response.domain;
     }
     if (!scriptPrefix) {
-      const response = await inquirer.default.prompt({
+      const response = await ask({
         type: 'input',
         name: 'scriptPrefix',
+        flag: '--scriptPrefix',
         message: 'Enter script prefix:',
         validate: input => input ? true : 'Script prefix is required.'
       });
@@ -74,7 +228,17 @@ const command = args[0];
       console.error(`[ERROR] Test file not found: ${testFile}`);
       process.exit(1);
     }
+    let testEnv = `DOMAIN=${domain} SCRIPT_PREFIX=${scriptPrefix}`;
+    if (flags.event) {
+      const event = loadFixtureOrExit(domain, scriptPrefix, flags.event);
+      testEnv += ` EVENT_FIXTURE=${JSON.stringify(event.fixturePath)}`;
+      console.log(`[EVENT] Tests will use event '${event.eventName}' from ${event.fixturePath}`);
+    }
     const { execSync } = require('child_process');
+    // Tests read the resolved key (flag, PROLIBU_API_KEY or --profile) from PROLIBU_API_KEY
+    const testExecOptions = { stdio: childStdio(), env: { ...process.env } };
+    const testApiKey = config.getApiKey(domain);
+    if (testApiKey) testExecOptions.env[config.API_KEY_ENV] = testApiKey;
     if (watchFlag) {
       const chokidar = require('chokidar');
       console.log(`[WATCH] Watching for changes in ${testFile}...`);
@@ -84,9 +248,11 @@ const command = args[0];
         if (running) return;
         running = true;
         try {
-          execSync(`DOMAIN=${domain} SCRIPT_PREFIX=${scriptPrefix} npx jest ${testFile}`, { stdio: 'inherit' });
+          execSync(`${testEnv} npx jest ${testFile}`, testExecOptions);
+          emit('test-result', { file: testFile, ok: true, exitCode: 0 });
         } catch (err) {
           console.error(`[ERROR] Test failed: ${err.message}`);
+          emit('test-result', { file: testFile, ok: false, exitCode: err.status || 1 });
         }
         running = false;
       };
@@ -97,6 +263,8 @@ const command = args[0];
         console.log(`[WATCH] Change detected in ${testFile}. Rerunning tests...`);
         runTest();
       });
+      // Keyboard shortcuts need a terminal and are disabled in non-interactive mode
+      if (!isInteractive() || !process.stdin.isTTY) return;
       // Handle keyboard input for re-running tests
       process.stdin.setRawMode(true);
       process.stdin.resume();
@@ -114,16 +282,24 @@ const command = args[0];
       });
       return;
     } else {
-      console.log('[INFO] Press [R] to run the test again.');
-      
       const runSingleTest = () => {
         try {
-          execSync(`DOMAIN=${domain} SCRIPT_PREFIX=${scriptPrefix} npx jest ${testFile}`, { stdio: 'inherit' });
+          execSync(`${testEnv} npx jest ${testFile}`, testExecOptions);
+          emit('test-result', { file: testFile, ok: true, exitCode: 0 });
+          return 0;
         } catch (err) {
           console.error(`[ERROR] Test failed: ${err.message}`);
+          emit('test-result', { file: testFile, ok: false, exitCode: err.status || 1 });
+          return err.status || 1;
         }
       };
-      
+
+      // Without a terminal (CI, scripts) run once and report the result through the exit code
+      if (!isInteractive() || !process.stdin.isTTY) {
+        process.exit(runSingleTest());
+      }
+
+      console.log('[INFO] Press [R] to run the test again.');
       runSingleTest();
       
       // Handle keyboard input for re-running tests in non-watch mode
@@ -144,7 +320,6 @@ const command = args[0];
     }
   }
   if (command === 'dev' || command === 'prod') {
-    const inquirer = await import('inquirer');
     let domain = flags.domain;
     let scriptPrefix = flags.scriptPrefix;
     let fileName = flags.file || 'index';
@@ -152,56 +327,645 @@ const command = args[0];
 
     // Interactive prompts for missing values
     if (!domain) {
-      const response = await inquirer.default.prompt({
+      const response = await ask({
+        type: 'input',
+        name: 'domain',
+        flag: '--domain',
+        message: 'Enter domain:',
+        validate: input => input ? true : 'Domain is required.'
+      });
+      domain = response.domain;
+    }
+    if (!scriptPrefix) {
+      const response = await ask({
+        type: 'input',
+        name: 'scriptPrefix',
+        flag: '--scriptPrefix',
+        message: 'Enter script prefix:',
+        validate: input => input ? true : 'Script prefix is required.'
+      });
+      scriptPrefix = response.scriptPrefix;
+    }
+    const event = flags.event ? loadFixtureOrExit(domain, scriptPrefix, flags.event) : undefined;
+    await runPrompts(command, scriptPrefix, domain);
+    await runDevScript(scriptPrefix, command, domain, watchFlag, fileName, { event });
+    return;
+  }
+
+  if (command === 'run') {
+    let domain = flags.domain;
+    let scriptPrefix = flags.scriptPrefix;
+    const env = flags.env || 'dev';
+    const fileName = flags.file || 'index';
+
+    if (!domain) {
+      const response = await ask({
+        type: 'input',
+        name: 'domain',
+        flag: '--domain',
+        message: 'Enter domain:',
+        validate: input => input ? true : 'Domain is required.'
+      });
+      domain = response.domain;
+    }
+    if (!scriptPrefix) {
+      const response = await ask({
+        type: 'input',
+        name: 'scriptPrefix',
+        flag: '--scriptPrefix',
+        message: 'Enter script prefix:',
+        validate: input => input ? true : 'Script prefix is required.'
+      });
+      scriptPrefix = response.scriptPrefix;
+    }
+    if (env !== 'dev' && env !== 'prod') {
+      console.error(`[ERROR] Invalid --env '${env}'. Use 'dev' or 'prod'.`);
+      process.exit(1);
+    }
+    const event = flags.event ? loadFixtureOrExit(domain, scriptPrefix, flags.event) : undefined;
+    if (flags.local) {
+      const result = await runLocalDevScript(scriptPrefix, env, domain, fileName, { event });
+      process.exit(result.error ? 1 : 0);
+    }
+    await runPrompts(command, scriptPrefix, domain);
+    const result = await runRemoteScript(scriptPrefix, env, domain, event);
+    process.exit(!result || result.error ? 1 : 0);
+  }
+
+  if (command === 'pull') {
+    let domain = flags.domain;
+    let scriptPrefix = flags.scriptPrefix;
+    const env = flags.env || 'dev';
+    const fileName = flags.file || 'index';
+
+    if (!domain) {
+      const response = await ask({
+        type: 'input',
+        name: 'domain',
+        flag: '--domain',
+        message: 'Enter domain:',
+        validate: input => input ? true : 'Domain is required.'
+      });
+      domain = response.domain;
+    }
+    if (!scriptPrefix) {
+      const response = await ask({
+        type: 'input',
+        name: 'scriptPrefix',
+        flag: '--scriptPrefix',
+        message: 'Enter script prefix:',
+        validate: input => input ? true : 'Script prefix is required.'
+      });
+      scriptPrefix = response.scriptPrefix;
+    }
+    if (env !== 'dev' && env !== 'prod') {
+      console.error(`[ERROR] Invalid --env '${env}'. Use 'dev' or 'prod'.`);
+      process.exit(1);
+    }
+    await runPrompts(command, scriptPrefix, domain);
+    await pullScript(scriptPrefix, env, domain, fileName);
+    return;
+  }
+
+  if (command === 'status') {
+    let domain = flags.domain;
+    let scriptPrefix = flags.scriptPrefix;
+    const fileName = flags.file || 'index';
+
+    if (!domain) {
+      const response = await ask({
+        type: 'input',
+        name: 'domain',
+        flag: '--domain',
+        message: 'Enter domain:',
+        validate: input => input ? true : 'Domain is required.'
+      });
+      domain = response.domain;
+    }
+    if (!scriptPrefix) {
+      const response = await ask({
+        type: 'input',
+        name: 'scriptPrefix',
+        flag: '--scriptPrefix',
+        message: 'Enter script prefix:',
+        validate: input => input ? true : 'Script prefix is required.'
+      });
+      scriptPrefix = response.scriptPrefix;
+    }
+    await runPrompts(command, scriptPrefix, domain);
+    await statusScript(scriptPrefix, domain, fileName, { diff: !!flags.diff });
+    return;
+  }
+
+  if (command === 'promote') {
+    let domain = flags.domain;
+    let scriptPrefix = flags.scriptPrefix;
+
+    if (!domain) {
+      const response = await ask({
         type: 'input',
         name: 'domain',
+        flag: '--domain',
         message: 'Enter domain:',
         validate: input => input ? true : 'Domain is required.'
       });
       domain = response.domain;
     }
     if (!scriptPrefix) {
-      const response = await inquirer.default.prompt({
+      const response = await ask({
         type: 'input',
         name: 'scriptPrefix',
+        flag: '--scriptPrefix',
         message: 'Enter script prefix:',
         validate: input => input ? true : 'Script prefix is required.'
       });
       scriptPrefix = response.scriptPrefix;
     }
     await runPrompts(command, scriptPrefix, domain);
-    await runDevScript(scriptPrefix, command, domain, watchFlag, fileName);
+    await promoteScript(scriptPrefix, domain);
+    return;
+  }
+
+  if (command === 'rollback') {
+    let domain = flags.domain;
+    let scriptPrefix = flags.scriptPrefix;
+    const env = flags.env || 'dev';
+
+    if (!domain) {
+      const response = await ask({
+        type: 'input',
+        name: 'domain',
+        flag: '--domain',
+        message: 'Enter domain:',
+        validate: input => input ? true : 'Domain is required.'
+      });
+      domain = response.domain;
+    }
+    if (!scriptPrefix) {
+      const response = await ask({
+        type: 'input',
+        name: 'scriptPrefix',
+        flag: '--scriptPrefix',
+        message: 'Enter script prefix:',
+        validate: input => input ? true : 'Script prefix is required.'
+      });
+      scriptPrefix = response.scriptPrefix;
+    }
+    if (env !== 'dev' && env !== 'prod') {
+      console.error(`[ERROR] Invalid --env '${env}'. Use 'dev' or 'prod'.`);
+      process.exit(1);
+    }
+    await runPrompts(command, scriptPrefix, domain);
+    await rollbackScript(scriptPrefix, env, domain, flags.to);
+    return;
+  }
+
+  if (command === 'logs') {
+    let domain = flags.domain;
+    let scriptPrefix = flags.scriptPrefix;
+    const env = flags.env || 'dev';
+
+    if (!domain) {
+      const response = await ask({
+        type: 'input',
+        name: 'domain',
+        flag: '--domain',
+        message: 'Enter domain:',
+        validate: input => input ? true : 'Domain is required.'
+      });
+      domain = response.domain;
+    }
+    if (!scriptPrefix) {
+      const response = await ask({
+        type: 'input',
+        name: 'scriptPrefix',
+        flag: '--scriptPrefix',
+        message: 'Enter script prefix:',
+        validate: input => input ? true : 'Script prefix is required.'
+      });
+      scriptPrefix = response.scriptPrefix;
+    }
+    if (env !== 'dev' && env !== 'prod') {
+      console.error(`[ERROR] Invalid --env '${env}'. Use 'dev' or 'prod'.`);
+      process.exit(1);
+    }
+    await showRunLogs(scriptPrefix, env, domain, {
+      run: flags.run || 'latest',
+      level: flags.level,
+      grep: flags.grep,
+      list: flags.list,
+    });
+    return;
+  }
+
+  if (command === 'check') {
+    let domain = flags.domain;
+    let scriptPrefix = flags.scriptPrefix;
+
+    if (!domain) {
+      const response = await ask({
+        type: 'input',
+        name: 'domain',
+        flag: '--domain',
+        message: 'Enter domain:',
+        validate: input => input ? true : 'Domain is required.'
+      });
+      domain = response.domain;
+    }
+    if (!scriptPrefix) {
+      const response = await ask({
+        type: 'input',
+        name: 'scriptPrefix',
+        flag: '--scriptPrefix',
+        message: 'Enter script prefix:',
+        validate: input => input ? true : 'Script prefix is required.'
+      });
+      scriptPrefix = response.scriptPrefix;
+    }
+    await checkScript(scriptPrefix, domain, flags.file || 'index');
+    return;
+  }
+
+  if (command === 'schedule') {
+    let domain = flags.domain;
+    let scriptPrefix = flags.scriptPrefix;
+    const env = flags.env || 'prod';
+
+    if (!domain) {
+      const response = await ask({
+        type: 'input',
+        name: 'domain',
+        flag: '--domain',
+        message: 'Enter domain:',
+        validate: input => input ? true : 'Domain is required.'
+      });
+      domain = response.domain;
+    }
+    if (!scriptPrefix) {
+      const response = await ask({
+        type: 'input',
+        name: 'scriptPrefix',
+        flag: '--scriptPrefix',
+        message: 'Enter script prefix:',
+        validate: input => input ? true : 'Script prefix is required.'
+      });
+      scriptPrefix = response.scriptPrefix;
+    }
+    if (env !== 'dev' && env !== 'prod') {
+      console.error(`[ERROR] Invalid --env '${env}'. Use 'dev' or 'prod'.`);
+      process.exit(1);
+    }
+    previewSchedule(scriptPrefix, env, domain, { count: flags.count });
+    return;
+  }
+
+  if (command === 'endpoint') {
+    const [, action, route] = flags._;
+    let domain = flags.domain;
+    let scriptPrefix = flags.scriptPrefix;
+    const env = flags.env || 'dev';
+    if (action !== 'call' || !route) {
+      console.error('[ERROR] Usage: ./script endpoint call <route> [--method <method>] [--body <json|@file>]');
+      process.exit(1);
+    }
+    if (env !== 'dev' && env !== 'prod') {
+      console.error(`[ERROR] Invalid --env '${env}'. Use 'dev' or 'prod'.`);
+      process.exit(1);
+    }
+
+    if (!domain) {
+      const response = await ask({
+        type: 'input',
+        name: 'domain',
+        flag: '--domain',
+        message: 'Enter domain:',
+        validate: input => input ? true : 'Domain is required.'
+      });
+      domain = response.domain;
+    }
+    if (!scriptPrefix) {
+      const response = await ask({
+        type: 'input',
+        name: 'scriptPrefix',
+        flag: '--scriptPrefix',
+        message: 'Enter script prefix:',
+        validate: input => input ? true : 'Script prefix is required.'
+      });
+      scriptPrefix = response.scriptPrefix;
+    }
+    await callScriptEndpoint(scriptPrefix, env, domain, String(route), { method: flags.method, body: flags.body });
+    return;
+  }
+
+  if (command === 'analyze') {
+    let domain = flags.domain;
+    let scriptPrefix = flags.scriptPrefix;
+    const env = flags.env || 'prod';
+
+    if (!domain) {
+      const response = await ask({
+        type: 'input',
+        name: 'domain',
+        flag: '--domain',
+        message: 'Enter domain:',
+        validate: input => input ? true : 'Domain is required.'
+      });
+      domain = response.domain;
+    }
+    if (!scriptPrefix) {
+      const response = await ask({
+        type: 'input',
+        name: 'scriptPrefix',
+        flag: '--scriptPrefix',
+        message: 'Enter script prefix:',
+        validate: input => input ? true : 'Script prefix is required.'
+      });
+      scriptPrefix = response.scriptPrefix;
+    }
+    if (env !== 'dev' && env !== 'prod') {
+      console.error(`[ERROR] Invalid --env '${env}'. Use 'dev' or 'prod'.`);
+      process.exit(1);
+    }
+    await analyzeScript(scriptPrefix, env, domain, {
+      fileName: flags.file || 'index',
+      limit: flags.limit,
+      all: flags.all,
+    });
+    return;
+  }
+
+  if (command === 'tail' || command === 'history') {
+    let domain = flags.domain;
+    let scriptCode = flags._[1];
+    const env = flags.env || 'prod';
+
+    if (!domain) {
+      const response = await ask({
+        type: 'input',
+        name: 'domain',
+        flag: '--domain',
+        message: 'Enter domain:',
+        validate: input => input ? true : 'Domain is required.'
+      });
+      domain = response.domain;
+    }
+    if (!scriptCode) {
+      let scriptPrefix = flags.scriptPrefix;
+      if (!scriptPrefix) {
+        const response = await ask({
+          type: 'input',
+          name: 'scriptPrefix',
+          flag: '--scriptPrefix',
+          message: 'Enter script prefix:',
+          validate: input => input ? true : 'Script prefix is required.'
+        });
+        scriptPrefix = response.scriptPrefix;
+      }
+      if (env !== 'dev' && env !== 'prod') {
+        console.error(`[ERROR] Invalid --env '${env}'. Use 'dev' or 'prod'.`);
+        process.exit(1);
+      }
+      scriptCode = `${scriptPrefix}-${env}`;
+    }
+    await runPrompts(command, scriptCode, domain);
+    if (command === 'history') {
+      await historyScript(domain, scriptCode, {
+        since: flags.since,
+        until: flags.until,
+        level: flags.level,
+        page: flags.page,
+        limit: flags.limit,
+        all: flags.all,
+      });
+      return;
+    }
+    await tailScript(domain, scriptCode, { level: flags.level });
+    return;
+  }
+
+  if (command === 'secret') {
+    const { rotateSecretKey } = require('./cli/secrets');
+    const [, action, key, value] = flags._;
+    let domain = flags.domain;
+    let scriptPrefix = flags.scriptPrefix;
+    if (!['set', 'get', 'rotate'].includes(action)) {
+      console.error('[ERROR] Usage: ./script secret <set|get|rotate> [key] [value]');
+      process.exit(1);
+    }
+    if (action !== 'rotate' && !key) {
+      console.error(`[ERROR] Missing key. Usage: ./script secret ${action} <key>`);
+      process.exit(1);
+    }
+    if (flags.env && flags.env !== 'dev' && flags.env !== 'prod') {
+      console.error(`[ERROR] Invalid --env '${flags.env}'. Use 'dev' or 'prod'.`);
+      process.exit(1);
+    }
+
+    if (!domain) {
+      const response = await ask({
+        type: 'input',
+        name: 'domain',
+        flag: '--domain',
+        message: 'Enter domain:',
+        validate: input => input ? true : 'Domain is required.'
+      });
+      domain = response.domain;
+    }
+    if (action === 'rotate') {
+      try {
+        const { secretKey, files, fromEnv } = rotateSecretKey(domain);
+        files.forEach(file => console.log(`[SECRET] Re-encrypted ${file}`));
+        if (fromEnv) {
+          console.log(`[SECRET] The key comes from PROLIBU_SECRET_KEY. Update it to the new key:\n${secretKey}`);
+        } else {
+          console.log(`[SECRET] Secret key rotated for '${domain}' (${files.length} file(s) re-encrypted).`);
+        }
+      } catch (err) {
+        console.error(`[ERROR] ${err.message}`);
+        process.exit(1);
+      }
+      return;
+    }
+    if (!scriptPrefix) {
+      const response = await ask({
+        type: 'input',
+        name: 'scriptPrefix',
+        flag: '--scriptPrefix',
+        message: 'Enter script prefix:',
+        validate: input => input ? true : 'Script prefix is required.'
+      });
+      scriptPrefix = response.scriptPrefix;
+    }
+    try {
+      if (action === 'set') {
+        let secretValue = value;
+        if (secretValue === undefined) {
+          const response = await ask({
+            type: 'password',
+            name: 'secretValue',
+            flag: 'the value argument',
+            message: `Enter value for '${key}':`,
+            mask: '*',
+            validate: input => input ? true : 'Value is required.'
+          });
+          secretValue = response.secretValue;
+        }
+        setSecretVariable(scriptPrefix, domain, key, String(secretValue), flags.env);
+      } else {
+        const secretValue = getSecretVariable(scriptPrefix, domain, key, flags.env || 'dev');
+        if (secretValue === undefined) {
+          console.error(`[ERROR] Variable '${key}' not found.`);
+          process.exit(1);
+        }
+        console.log(secretValue);
+      }
+    } catch (err) {
+      console.error(`[ERROR] ${err.message}`);
+      process.exit(1);
+    }
+    return;
+  }
+
+  if (command === 'git') {
+    const [, subject, action, url] = flags._;
+    if (subject !== 'remote' || action !== 'set' || !url) {
+      console.error('[ERROR] Usage: ./script git remote set <url>');
+      process.exit(1);
+    }
+    let domain = flags.domain;
+    let scriptPrefix = flags.scriptPrefix;
+    if (!domain) {
+      const response = await ask({
+        type: 'input',
+        name: 'domain',
+        flag: '--domain',
+        message: 'Enter domain:',
+        validate: input => input ? true : 'Domain is required.'
+      });
+      domain = response.domain;
+    }
+    if (!scriptPrefix) {
+      const response = await ask({
+        type: 'input',
+        name: 'scriptPrefix',
+        flag: '--scriptPrefix',
+        message: 'Enter script prefix:',
+        validate: input => input ? true : 'Script prefix is required.'
+      });
+      scriptPrefix = response.scriptPrefix;
+    }
+    try {
+      const updated = await setGitRemote(scriptPrefix, domain, String(url));
+      if (!updated) process.exit(1);
+    } catch (err) {
+      console.error(`[ERROR] ${err.message}`);
+      process.exit(1);
+    }
+    return;
+  }
+
+  if (command === 'migrate') {
+    let domain = flags.domain;
+    let scriptPrefix = flags.scriptPrefix;
+
+    if (!domain) {
+      const response = await ask({
+        type: 'input',
+        name: 'domain',
+        flag: '--domain',
+        message: 'Enter domain:',
+        validate: input => input ? true : 'Domain is required.'
+      });
+      domain = response.domain;
+    }
+    if (!scriptPrefix) {
+      const response = await ask({
+        type: 'input',
+        name: 'scriptPrefix',
+        flag: '--scriptPrefix',
+        message: 'Enter script prefix:',
+        validate: input => input ? true : 'Script prefix is required.'
+      });
+      scriptPrefix = response.scriptPrefix;
+    }
+    migrateScript(scriptPrefix, domain);
+    return;
+  }
+
+  if (command === 'login') {
+    let domain = flags.domain;
+    if (!domain) {
+      const response = await ask({
+        type: 'input',
+        name: 'domain',
+        flag: '--domain',
+        message: 'Enter domain:',
+        validate: input => input ? true : 'Domain is required.'
+      });
+      domain = response.domain;
+    }
+    let apiKey = config.getApiKey(domain);
+    if (!apiKey) {
+      const response = await ask({
+        type: 'password',
+        name: 'apiKey',
+        flag: '--apikey or PROLIBU_API_KEY',
+        message: `Enter API key for domain '${domain}':`,
+        mask: '*',
+        validate: input => input ? true : 'API key is required.'
+      });
+      apiKey = response.apiKey;
+    }
+    const profileLabel = config.getActiveProfile() || 'default';
+    let result;
+    try {
+      result = await verifyApiKey(domain, apiKey);
+    } catch (err) {
+      console.error(`[ERROR] Login failed for '${domain}': ${err.message}`);
+      process.exit(1);
+    }
+    if (result.missingPermissions.length) {
+      console.error(`[ERROR] API key is missing permissions: ${result.missingPermissions.join(', ')}`);
+      process.exit(1);
+    }
+    if (apiKey !== process.env[config.API_KEY_ENV]) {
+      config.setApiKey(apiKey, domain);
+    }
+    const chalk = (await import('chalk')).default;
+    console.log(chalk.green(`[LOGIN] Authenticated as ${result.user.email || result.user._id || 'user'} on '${domain}' (profile: ${profileLabel})`));
     return;
   }
 
   if (command === 'import') {
-    const inquirer = await import('inquirer');
     let domain = flags.domain;
     let scriptPrefix = flags.scriptPrefix;
     let gitRepo = flags.repo;
 
     if (!domain) {
-      const response = await inquirer.default.prompt({
+      const response = await ask({
         type: 'input',
         name: 'domain',
+        flag: '--domain',
         message: 'Enter domain:',
         validate: input => input ? true : 'Domain is required.'
       });
       domain = response.domain;
     }
     if (!scriptPrefix) {
-      const response = await inquirer.default.prompt({
+      const response = await ask({
         type: 'input',
         name: 'scriptPrefix',
+        flag: '--scriptPrefix',
         message: 'Enter script prefix:',
         validate: input => input ? true : 'Script prefix is required.'
       });
       scriptPrefix = response.scriptPrefix;
     }
     if (!gitRepo) {
-      const response = await inquirer.default.prompt({
+      const response = await ask({
         type: 'input',
         name: 'gitRepo',
+        flag: '--repo',
         message: 'Enter the git repository URL to import:',
         validate: input => input ? true : 'Git repository URL is required.'
       });
@@ -213,7 +977,7 @@ const command = args[0];
     const path = require('path');
     const repoDir = path.join(process.cwd(), 'accounts', domain, scriptPrefix);
     if (fs.existsSync(repoDir) && fs.readdirSync(repoDir).length > 0) {
-      const { confirmDelete } = await inquirer.default.prompt({
+      const { confirmDelete } = await ask({
         type: 'confirm',
         name: 'confirmDelete',
         message: `The folder ${repoDir} already exists and is not empty. Delete it and continue?`,
@@ -227,8 +991,9 @@ const command = args[0];
       console.log(`[CLEANUP] Deleted existing folder: ${repoDir}`);
     }
     try {
-      execSync(`git clone ${gitRepo} ${repoDir}`, { stdio: 'inherit' });
+      execSync(`git clone ${gitRepo} ${repoDir}`, { stdio: childStdio() });
       console.log(`[IMPORT] Repository imported to ${repoDir}`);
+      emit('import', { domain, scriptPrefix, repo: gitRepo, folder: repoDir });
     } catch (err) {
       console.error(`[ERROR] Failed to import repository: ${err.message}`);
       process.exit(1);
@@ -239,10 +1004,10 @@ const command = args[0];
   console.log(`To start production, run:\n  ${chalk.green(`./script prod --domain ${domain} --scriptPrefix ${scriptPrefix} --watch`)}`);
     return;
   }
-    const inquirer = await import('inquirer');
   let domain = flags.domain;
   let scriptPrefix = flags.scriptPrefix;
   let repo = flags.repo;
+  let template = flags.template;
   let lifecycleHooks = flags.lifecycleHooks;
   let apiKey = flags.apikey;
 
@@ -251,62 +1016,79 @@ const command = args[0];
     const path = require('path');
     // 1. domain
     if (!domain) {
-      const response = await inquirer.default.prompt({
+      const response = await ask({
         type: 'input',
         name: 'domain',
+        flag: '--domain',
         message: 'Enter domain:',
         validate: input => input ? true : 'Domain is required.'
       });
       domain = response.domain;
     }
-    // 2. apiKey (always ensure config.json is created/updated)
-  let profilePath = path.join(process.cwd(), 'accounts', domain, 'profile.json');
-    if (fs.existsSync(profilePath)) {
-      try {
-        const profileData = JSON.parse(fs.readFileSync(profilePath, 'utf8'));
-        if (!apiKey) apiKey = profileData.apiKey;
-      } catch {}
-    }
+    // 2. apiKey: --apikey, PROLIBU_API_KEY, then the active profile (always ensure the profile is created/updated)
+    if (!apiKey) apiKey = config.getApiKey(domain);
     if (!apiKey) {
-      const response = await inquirer.default.prompt({
+      const response = await ask({
         type: 'input',
         name: 'apiKey',
+        flag: '--apikey or PROLIBU_API_KEY',
         message: `Enter API key for domain '${domain}':`,
         validate: input => input ? true : 'API key is required.'
       });
       apiKey = response.apiKey;
     }
-    const domainDir = path.dirname(profilePath);
-    if (!fs.existsSync(domainDir)) {
-      fs.mkdirSync(domainDir, { recursive: true });
+    // Keys coming from the environment are not written to disk
+    if (apiKey !== process.env[config.API_KEY_ENV]) {
+      config.setApiKey(apiKey, domain);
     }
-    fs.writeFileSync(profilePath, JSON.stringify({ apiKey }, null, 2));
     // 3. scriptPrefix
     if (!scriptPrefix) {
-      const response = await inquirer.default.prompt({
+      const response = await ask({
         type: 'input',
         name: 'scriptPrefix',
+        flag: '--scriptPrefix',
         message: 'Enter script prefix:',
         validate: input => input ? true : 'Script prefix is required.'
       });
       scriptPrefix = response.scriptPrefix;
     }
-    // 4. repo
-    if (!repo) {
-      const response = await inquirer.default.prompt({
+    // 4. repo (--local, or an empty answer, creates a local-only repository instead of cloning)
+    if (repo && flags.local) {
+      console.error('[ERROR] Use either --repo or --local, not both.');
+      process.exit(1);
+    }
+    if (!repo && !flags.local) {
+      const response = await ask({
         type: 'input',
         name: 'repo',
-        message: 'Enter git repository URL:',
-        validate: input => input ? true : 'Git repository URL is required.'
+        flag: '--repo or --local',
+        message: 'Enter git repository URL (empty for a local-only repository):',
       });
-      repo = response.repo;
+      repo = response.repo.trim();
     }
-    // 5. lifecycleHooks
+    // 5. template
+    const templates = listTemplates();
+    if (!template) {
+      const response = await ask({
+        type: 'list',
+        name: 'template',
+        flag: '--template',
+        message: 'Choose a template:',
+        choices: templates.map(t => ({ name: `${t.name.padEnd(20)} ${t.description}`, value: t.name })),
+        default: DEFAULT_TEMPLATE,
+      });
+      template = response.template;
+    }
+    if (!templates.some(t => t.name === template)) {
+      console.error(`[ERROR] Template '${template}' not found. Available: ${templates.map(t => t.name).join(', ')}`);
+      process.exit(1);
+    }
+    // 6. lifecycleHooks (empty keeps the template's lifecycleHooks in script.json)
     if (!lifecycleHooks) {
-      const response = await inquirer.default.prompt({
+      const response = await ask({
         type: 'input',
         name: 'lifecycleHooks',
-        message: 'Add lifecycleHooks? (comma separated, e.g. Company,Contact,Deal)',
+        message: 'Add lifecycleHooks? (comma separated, e.g. Company,Contact,Deal; empty keeps the template\'s)',
         default: '',
       });
       lifecycleHooks = response.lifecycleHooks;
@@ -316,11 +1098,11 @@ const command = args[0];
       hooksArr = lifecycleHooks.split(',').map(h => h.trim()).filter(Boolean);
     }
 
-    // Clone repo and copy templates
+    // Clone repo (or create the folder for a local-only repository) and copy templates
     const { execSync } = require('child_process');
     const repoDir = path.join(process.cwd(), 'accounts', domain, scriptPrefix);
     if (fs.existsSync(repoDir) && fs.readdirSync(repoDir).length > 0) {
-      const { confirmDelete } = await inquirer.default.prompt({
+      const { confirmDelete } = await ask({
         type: 'confirm',
         name: 'confirmDelete',
         message: `The folder ${repoDir} already exists and is not empty. Delete it and continue?`,
@@ -334,43 +1116,53 @@ const command = args[0];
       console.log(`[CLEANUP] Deleted existing folder: ${repoDir}`);
     }
     try {
-      execSync(`git clone ${repo} ${repoDir}`, { stdio: 'inherit' });
-      console.log(`[GIT] Repository cloned to ${repoDir}`);
-      
-      // Copy all files and folders from templates directory
-      const templateDir = path.join(process.cwd(), 'templates');
-      if (fs.existsSync(templateDir)) {
-        fs.readdirSync(templateDir).forEach(item => {
-          const src = path.join(templateDir, item);
-          const dest = path.join(repoDir, item);
-          const stat = fs.statSync(src);
-          
-          if (stat.isDirectory()) {
-            // Copy directory recursively
-            fs.cpSync(src, dest, { recursive: true });
-          } else {
-            // Copy file
-            fs.copyFileSync(src, dest);
-          }
-        });
+      if (repo) {
+        execSync(`git clone ${repo} ${repoDir}`, { stdio: childStdio() });
+        console.log(`[GIT] Repository cloned to ${repoDir}`);
+      } else {
+        fs.mkdirSync(repoDir, { recursive: true });
       }
-      console.log(`[INIT] Script structure initialized from templates in ${repoDir}`);
+
+      copyTemplate(template, repoDir);
+      ensureSecretsIgnored(repoDir);
+      console.log(`[INIT] Script structure initialized from template '${template}' in ${repoDir}`);
     } catch (err) {
-      console.error(`[ERROR] Failed to clone repository: ${err.message}`);
+      console.error(`[ERROR] Failed to ${repo ? 'clone repository' : 'create script folder'}: ${err.message}`);
       process.exit(1);
     }
-    // Write lifecycleHooks.json
+    // Replace the template's lifecycleHooks in script.json
     if (hooksArr.length) {
-      const hooksPath = path.join(repoDir, 'lifecycleHooks.json');
-      fs.writeFileSync(hooksPath, JSON.stringify(hooksArr, null, 2));
-      console.log(`[INFO] lifecycleHooks.json created: ${JSON.stringify(hooksArr)}`);
+      try {
+        updateManifest(repoDir, manifest => { manifest.lifecycleHooks = hooksArr; });
+      } catch (err) {
+        console.error(`[ERROR] ${err.message}`);
+        process.exit(1);
+      }
+      console.log(`[INFO] lifecycleHooks saved to script.json: ${JSON.stringify(hooksArr)}`);
+    }
+    if (repo) {
+      setGitRepositoryUrl(repoDir, repo);
+    } else {
+      const readmePath = path.join(repoDir, 'README.md');
+      if (!fs.existsSync(readmePath)) fs.writeFileSync(readmePath, `# ${scriptPrefix}\n`);
+      try {
+        initLocalRepository(repoDir, `Initial commit from template '${template}'`);
+      } catch (err) {
+        console.error(`[ERROR] Failed to initialize git repository: ${err.message}`);
+        process.exit(1);
+      }
     }
     // Pass git.repositoryUrl to createScript
     await createScript(scriptPrefix, 'dev', domain, repo, 'index');
     await createScript(scriptPrefix, 'prod', domain, repo, 'index');
   const chalk = (await import('chalk')).default;
   console.log(`Scripts '${scriptPrefix}-dev' and '${scriptPrefix}-prod' created for domain '${domain}'.`);
+  emit('create', { domain, scriptPrefix, repo: repo || null, local: !repo, template, folder: repoDir, scriptCodes: [`${scriptPrefix}-dev`, `${scriptPrefix}-prod`] });
   console.log('\nNext steps:');
   console.log(`To start development, run:\n  ${chalk.green(`./script dev --domain ${domain} --scriptPrefix ${scriptPrefix} --watch`)}`);
   console.log(`To start production, run:\n  ${chalk.green(`./script prod --domain ${domain} --scriptPrefix ${scriptPrefix} --watch`)}`);
+  console.log(`To test the template's event handlers locally, run:\n  ${chalk.green(`./script test --domain ${domain} --scriptPrefix ${scriptPrefix} --file events`)}`);
+  if (!repo) {
+    console.log(`To attach a git repository later, run:\n  ${chalk.green(`./script git remote set <url> --domain ${domain} --scriptPrefix ${scriptPrefix}`)}`);
+  }
 })();
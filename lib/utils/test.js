@@ -1,13 +1,22 @@
 const fs = require('fs');
 const path = require('path');
+const { loadVariables } = require('../../cli/variables');
+const { decryptVariables } = require('../../cli/secrets');
+const { loadManifest, resolveEnvironment } = require('../../cli/manifest');
 
 function loadGlobalVariables(_env = 'dev') {
   global.env = _env;
   global.scriptCode = `${process.env.SCRIPT_PREFIX}-${_env}`;
   global.localDomain = process.env.DOMAIN;
   const projectPath = path.join(process.cwd(), 'accounts', process.env.DOMAIN, process.env.SCRIPT_PREFIX);
-  global.variables = JSON.parse(fs.readFileSync(path.join(projectPath, 'variables.json'), 'utf8'));
-  global.lifecycleHooks = JSON.parse(fs.readFileSync(path.join(projectPath, 'lifecycleHooks.json'), 'utf8'));
+  // Same layering as uploads: script.json variables < environments.<env>.variables < variables.secret.json
+  // enc: values are decrypted with the domain key, as they are before every upload
+  global.variables = decryptVariables(loadVariables(projectPath, _env), process.env.DOMAIN);
+  global.lifecycleHooks = resolveEnvironment(loadManifest(projectPath), _env).lifecycleHooks;
+  // EVENT_FIXTURE is set by `./script test --event <fixture>` with the fixture's JSON path
+  const fixture = process.env.EVENT_FIXTURE ? JSON.parse(fs.readFileSync(process.env.EVENT_FIXTURE, 'utf8')) : {};
+  global.eventName = fixture.eventName || (process.env.EVENT_FIXTURE ? path.basename(process.env.EVENT_FIXTURE, '.json') : 'ApiRun');
+  global.eventData = fixture.eventData || { query: {}, body: {} };
   global.axios = require('axios');
   global.getVariable = require('../../lib/utils/variables').getVariable;
 }
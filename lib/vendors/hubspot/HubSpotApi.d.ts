@@ -0,0 +1,46 @@
+/** Types for HubSpotApi.js: HubSpot CRM v3 objects with OAuth2 tokens */
+
+import ProlibuApi = require('../prolibu/ProlibuApi');
+
+declare namespace HubSpotApi {
+  interface Options {
+    accessToken: string;
+    clientSecret: string;
+    baseUrl?: string;
+    apiVersion?: string;
+  }
+
+  /** Reserved keys shape the search; every other key becomes a filter ($ne, $gt, $exists...) */
+  interface FindOptions {
+    select?: string;
+    limit?: number;
+    sort?: string;
+    page?: number;
+    [property: string]: any;
+  }
+
+  interface RefData {
+    refId: string;
+    refUrl: string;
+  }
+}
+
+declare class HubSpotApi {
+  constructor(options: HubSpotApi.Options);
+  authenticate(): Promise<string>;
+  forceRefresh(): Promise<string>;
+  clearTokenCache(): Promise<void>;
+  getTokenInfo(): Record<string, any>;
+  getRefUrl(objectType: string, id: string): string;
+  getRefData(objectType: string, id: string): HubSpotApi.RefData;
+  /** data.associations ({ contacts: ['123'] }) links the new record to other objects */
+  create<T = Record<string, any>>(objectType: string, data: Record<string, any>): Promise<T>;
+  find<T = Record<string, any>>(objectType: string, options?: HubSpotApi.FindOptions): Promise<ProlibuApi.FindResult<T>>;
+  /** Resolves to null when the record does not exist */
+  findOne<T = Record<string, any>>(objectType: string, id: string, options?: { select?: string }): Promise<T | null>;
+  update<T = Record<string, any>>(objectType: string, id: string, data: Record<string, any>, options?: { select?: string }): Promise<T>;
+  /** Resolves to false when the record does not exist */
+  delete(objectType: string, id: string): Promise<boolean>;
+}
+
+export = HubSpotApi;
@@ -0,0 +1,47 @@
+/** Types for DataMapper.js: maps records between Prolibu and external systems */
+
+declare namespace DataMapper {
+  /** transform(value, sourceData) for a target field, sync or async */
+  type Transform = (value: any, sourceData: Record<string, any>) => any;
+  /** afterTransform(currentValue, mappedResult, originalData) for a mapped field path */
+  type AfterTransform = (value: any, mapped: Record<string, any>, original: Record<string, any>) => any;
+  type MappingHook = (data: Record<string, any>, config: ObjectConfig, event: EventConfig, mapped?: Record<string, any>) => void | Promise<void>;
+
+  /** { sourceField: 'targetField' } with dot notation, plus optional per-field transforms */
+  type Map = Record<string, string> & { transforms?: Record<string, Transform> };
+
+  interface EventConfig {
+    name: 'afterCreate' | 'afterUpdate' | 'afterDelete';
+    handler: (source: string, config: ObjectConfig, event: EventConfig) => void | Promise<void>;
+    transforms?: Record<string, Transform>;
+    afterTransforms?: Record<string, AfterTransform>;
+    preMapping?: MappingHook;
+    postMapping?: MappingHook;
+  }
+
+  /** One entry of the OutboundIntegration configuration array */
+  interface ObjectConfig {
+    /** Prolibu model, e.g. 'Contact' */
+    source: string;
+    /** External object, e.g. 'Contact' in Salesforce or 'contacts' in HubSpot */
+    target: string;
+    active?: boolean;
+    map: Map;
+    globalTransforms?: Record<string, Transform>;
+    globalAfterTransforms?: Record<string, AfterTransform>;
+    globalPreMapping?: MappingHook;
+    globalPostMapping?: MappingHook;
+    events: EventConfig[];
+  }
+}
+
+declare class DataMapper {
+  /** Maps data with a configuration entry, applying global and event transforms and hooks */
+  static mapWithConfig(options: { data: Record<string, any>; config: DataMapper.ObjectConfig; event: DataMapper.EventConfig; reverse?: boolean }): Promise<Record<string, any>>;
+  /** @deprecated Use mapWithConfig */
+  static map(options: { data: Record<string, any>; map: DataMapper.Map; reverse?: boolean; transforms?: Record<string, DataMapper.Transform>; afterTransforms?: Record<string, DataMapper.AfterTransform> }): Promise<Record<string, any>>;
+  static getNestedValue(obj: Record<string, any>, path: string): any;
+  static setNestedValue(obj: Record<string, any>, path: string, value: any): void;
+}
+
+export = DataMapper;
@@ -0,0 +1,27 @@
+/**
+ * Types for EventManager.js: the shared event registry of a script run.
+ * Register handlers with on(), then `await Events.init()` runs the ones matching the global eventName.
+ */
+
+type EventHandler = (payload: Record<string, any>) => void | Promise<void>;
+
+declare class EventManager {
+  /** Registers a handler for 'ApiRun', 'ScheduledTask', 'EndpointRequest' or '<Model>.<hookType>' */
+  on(eventName: string, handler: EventHandler): this;
+  off(eventName: string, handler: EventHandler): this;
+  /** Runs the handlers of the current eventName; resolves when every async handler has finished */
+  init(): Promise<void>;
+  /** 'immediate' (default) rethrows handler errors, 'delayed' throws them on the next tick, 'silent' ignores them */
+  setErrorMode(mode: 'immediate' | 'delayed' | 'silent'): this;
+  clear(): this;
+  hasHandlers(eventName: string): boolean;
+  getCurrentEventName(): string | null;
+  getStats(): { events: number; totalHandlers: number; eventList: Array<{ event: string; handlerCount: number }> };
+  getEvents(): Array<{ event: string; handlerCount: number }>;
+  triggerImmediate(eventName: string, payload?: Record<string, any>): Promise<this>;
+  triggerImmediateSync(eventName: string, payload?: Record<string, any>): this;
+}
+
+/** Singleton shared by every require() of EventManager in the bundle */
+declare const Events: EventManager;
+export = Events;
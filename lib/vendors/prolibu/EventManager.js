@@ -48,8 +48,8 @@ class EventManager {
    */
   on(eventName, handler) {
     const modelName = eventName.split('.')[0];
-    // check if modelName is different to 'ApiRun'
-    if (modelName !== 'ApiRun' && modelName !== 'EndpointRequest') {
+    // ApiRun, ScheduledTask and EndpointRequest are not lifecycle hooks, so they are never filtered
+    if (!['ApiRun', 'ScheduledTask', 'EndpointRequest'].includes(modelName)) {
       // If lifecycleHooks is defined globally, use it to filter events
       if (!lifecycleHooks.includes(modelName)) {
         console.log(`[WARN] Handler for event "${eventName}" ignored - model "${modelName}" not in lifecycleHooks: ${JSON.stringify(lifecycleHooks)}`);
@@ -0,0 +1,19 @@
+/** Types for OutboundIntegration.js: registers Prolibu → external system sync handlers */
+
+import DataMapper = require('./DataMapper');
+
+declare class OutboundIntegration {
+  constructor(configs?: DataMapper.ObjectConfig[]);
+  configs: DataMapper.ObjectConfig[];
+  validatedConfigs: DataMapper.ObjectConfig[];
+  validateConfigs(): void;
+  /** Registers '<source>.<event>' handlers on EventManager for every active configuration */
+  registerEvents(): Promise<void>;
+  getConfig(source: string): DataMapper.ObjectConfig | null;
+  getEventConfig(source: string, eventName: string): DataMapper.EventConfig | null;
+  getActiveConfigs(): DataMapper.ObjectConfig[];
+  /** registerEvents() then `await Events.init()` */
+  initialize(): Promise<void>;
+}
+
+export = OutboundIntegration;
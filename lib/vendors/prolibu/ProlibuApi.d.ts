@@ -0,0 +1,49 @@
+/// <reference path="../../../types/sandbox.d.ts" />
+/** Types for ProlibuApi.js: CRUD on Prolibu models through /v2/<model> */
+
+declare namespace ProlibuApi {
+  interface Options {
+    /** Defaults to the sandbox's localDomain */
+    domain?: string;
+    apiKey: string;
+  }
+
+  interface QueryParams {
+    select?: string;
+    populatePath?: string | object;
+    xquery?: string | object;
+    sort?: string;
+    page?: number;
+    limit?: number;
+    [param: string]: any;
+  }
+
+  interface Pagination {
+    count: number;
+    page: number;
+    limit: number;
+    lastPage: number;
+    startIndex: number;
+  }
+
+  interface FindResult<T = Prolibu.Doc> {
+    pagination: Pagination;
+    data: T[];
+  }
+}
+
+declare class ProlibuApi {
+  constructor(options: ProlibuApi.Options);
+  create<T = Prolibu.Doc>(modelName: string, data: Record<string, any>): Promise<T>;
+  /** Resolves to null when the record does not exist */
+  findOne<T = Prolibu.Doc>(modelName: string, id: string, queryParams?: ProlibuApi.QueryParams): Promise<T | null>;
+  find<T = Prolibu.Doc>(modelName: string, queryParams?: ProlibuApi.QueryParams): Promise<ProlibuApi.FindResult<T>>;
+  update<T = Prolibu.Doc>(modelName: string, id: string, data: Record<string, any>): Promise<T>;
+  /** Resolves to false when the record does not exist */
+  delete(modelName: string, id: string): Promise<boolean>;
+  search<T = Prolibu.Doc>(modelName: string, term: string, queryParams?: ProlibuApi.QueryParams): Promise<ProlibuApi.FindResult<T>>;
+  /** Returns the record with this id, creating it from data when it does not exist */
+  findOneOrCreate<T = Prolibu.Doc>(modelName: string, id: string, queryParams: ProlibuApi.QueryParams, data: Record<string, any>): Promise<T>;
+}
+
+export = ProlibuApi;
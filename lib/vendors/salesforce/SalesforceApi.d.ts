@@ -0,0 +1,48 @@
+/** Types for SalesforceApi.js: Salesforce REST API with OAuth client credentials and cached tokens */
+
+import ProlibuApi = require('../prolibu/ProlibuApi');
+
+declare namespace SalesforceApi {
+  interface Options {
+    /** e.g. 'mycompany.my.salesforce.com' */
+    instanceUrl: string;
+    customerKey: string;
+    customerSecret: string;
+    apiVersion?: string;
+  }
+
+  /** Reserved keys shape the SOQL query; every other key becomes a WHERE condition */
+  interface FindOptions {
+    select?: string;
+    limit?: number;
+    sort?: string;
+    page?: number;
+    [field: string]: any;
+  }
+
+  interface RefData {
+    refId: string;
+    refUrl: string;
+  }
+}
+
+declare class SalesforceApi {
+  constructor(options: SalesforceApi.Options);
+  authenticate(): Promise<string>;
+  forceRefresh(): Promise<string>;
+  clearTokenCache(): Promise<void>;
+  getTokenInfo(): Record<string, any>;
+  getRefUrl(objectName: string, docId: string): string;
+  getRefData(objectName: string, docId: string): SalesforceApi.RefData;
+  /** Creates the record and resolves to it with all fields */
+  create<T = Record<string, any>>(sobjectType: string, data: Record<string, any>): Promise<T>;
+  /** options is a SOQL string or FindOptions */
+  find<T = Record<string, any>>(sobjectType: string, options?: string | SalesforceApi.FindOptions): Promise<ProlibuApi.FindResult<T>>;
+  /** Resolves to null when the record does not exist */
+  findOne<T = Record<string, any>>(sobjectType: string, id: string, options?: { select?: string }): Promise<T | null>;
+  update<T = Record<string, any>>(sobjectType: string, id: string, data: Record<string, any>, options?: { select?: string }): Promise<T>;
+  /** Resolves to false when the record does not exist */
+  delete(sobjectType: string, id: string): Promise<boolean>;
+}
+
+export = SalesforceApi;
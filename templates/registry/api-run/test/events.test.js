@@ -0,0 +1,12 @@
+/**
+ * @jest-environment node
+ */
+/* global describe, it, expect */
+const { runEvent } = require('./helpers/runEvent');
+
+describe('ApiRun', () => {
+  it('Should run the ApiRun handler without errors', async () => {
+    const result = await runEvent('ApiRun');
+    expect(result.error).toBeNull();
+  });
+});
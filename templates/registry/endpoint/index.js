@@ -0,0 +1,39 @@
+/**
+ * Prolibu Endpoint Template - Webhook receiver
+ *
+ * Handles requests to the custom endpoints declared in script.json (/v2/endpoint/<method>/<route>),
+ * which dev/prod bind to this script. The response is whatever the script assigns to output:
+ * { statusCode, headers?, body }. Try it locally with ./script run --local --event EndpointRequest,
+ * or deployed with ./script endpoint call webhook-dev (unsigned requests get the 401 answer)
+ */
+
+/* global eventData */
+
+const Events = require('../../../lib/vendors/prolibu/EventManager');
+const { getRequiredVars } = require('../../../lib/utils/variables');
+const { isValidSignature } = require('./lib/signature');
+
+Events.on('EndpointRequest', async () => {
+  const { endpoint, headers, body } = eventData;
+  console.log(`📥 ${endpoint.method} ${endpoint.url}`);
+
+  const { secret } = getRequiredVars({ secret: 'webhook-secret' });
+  if (!isValidSignature(body, headers['x-webhook-signature'], secret)) {
+    console.warn('⚠️ Invalid webhook signature');
+    globalThis.output = { statusCode: 401, body: { success: false, error: 'Invalid signature' } };
+    return;
+  }
+
+  if (!body.event) {
+    globalThis.output = { statusCode: 400, body: { success: false, error: "'event' is required" } };
+    return;
+  }
+
+  // Your webhook logic here, e.g. switch (body.event) { case 'contact.created': ... }
+
+  globalThis.output = { statusCode: 200, body: { success: true, event: body.event } };
+});
+
+(async function main() {
+  await Events.init();
+})();
@@ -0,0 +1,22 @@
+const crypto = require('crypto');
+
+// Hex HMAC-SHA256 of the JSON body, as the sender computes it for the x-webhook-signature header
+function signBody(body, secret) {
+  return crypto.createHmac('sha256', secret).update(JSON.stringify(body)).digest('hex');
+}
+
+/**
+ * Checks a webhook signature in constant time
+ * @param {Object} body - Request body
+ * @param {string} signature - x-webhook-signature header
+ * @param {string} secret - Secret shared with the sender
+ * @returns {boolean}
+ */
+function isValidSignature(body, signature, secret) {
+  if (typeof signature !== 'string') return false;
+  const expected = Buffer.from(signBody(body, secret));
+  const received = Buffer.from(signature);
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+module.exports = { signBody, isValidSignature };
@@ -0,0 +1,33 @@
+/**
+ * @jest-environment node
+ */
+/* global describe, it, expect */
+const { runEvent } = require('./helpers/runEvent');
+const { signBody } = require('../lib/signature');
+const fixture = require('../events/EndpointRequest.json');
+
+const secret = 'test-secret';
+const variables = [{ key: 'webhook-secret', value: secret }];
+
+// The fixture's eventData with a signature computed for its body
+function signedRequest(body = fixture.eventData.body, signature = signBody(body, secret)) {
+  return { ...fixture.eventData, headers: { ...fixture.eventData.headers, 'x-webhook-signature': signature }, body };
+}
+
+describe('EndpointRequest', () => {
+  it('Should answer 200 to a signed request', async () => {
+    const result = await runEvent('EndpointRequest', { variables, eventData: signedRequest() });
+    expect(result.error).toBeNull();
+    expect(result.output).toEqual({ statusCode: 200, body: { success: true, event: 'contact.created' } });
+  });
+
+  it('Should answer 401 to a wrong signature', async () => {
+    const result = await runEvent('EndpointRequest', { variables, eventData: signedRequest(undefined, 'bad') });
+    expect(result.output.statusCode).toBe(401);
+  });
+
+  it('Should answer 400 when the body has no event', async () => {
+    const result = await runEvent('EndpointRequest', { variables, eventData: signedRequest({ data: {} }) });
+    expect(result.output.statusCode).toBe(400);
+  });
+});
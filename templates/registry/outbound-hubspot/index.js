@@ -0,0 +1,72 @@
+/**
+ * Prolibu Outbound Integration Template - Prolibu → HubSpot
+ *
+ * Creates, updates and deletes HubSpot records when Contacts, Companies and Deals change in
+ * Prolibu (lifecycleHooks in script.json). The HubSpot id is stored on the Prolibu record as refId.
+ * Field maps live in lib/vendors/hubspot/maps; copy one into lib/ to customize it.
+ * Try it locally with ./script run --local --event Contact.afterCreate
+ */
+
+/* global eventData */
+
+const OutboundIntegration = require('../../../lib/vendors/prolibu/OutboundIntegration');
+const DataMapper = require('../../../lib/vendors/prolibu/DataMapper');
+const ProlibuApi = require('../../../lib/vendors/prolibu/ProlibuApi');
+const HubSpotApi = require('../../../lib/vendors/hubspot/HubSpotApi');
+const { getRequiredVars } = require('../../../lib/utils/variables');
+const ContactMap = require('../../../lib/vendors/hubspot/maps/ContactMap');
+const CompanyMap = require('../../../lib/vendors/hubspot/maps/CompanyMap');
+const DealMap = require('../../../lib/vendors/hubspot/maps/DealMap');
+
+// Clients are created on the first event, so a missing variable fails the run with a clear message
+let clients = null;
+async function getClients() {
+  if (!clients) {
+    const vars = getRequiredVars({
+      apiKey: 'prolibu-apiKey',
+      accessToken: 'hubspot-accessToken',
+      clientSecret: 'hubspot-clientSecret',
+    });
+    const hubspotApi = new HubSpotApi({ accessToken: vars.accessToken, clientSecret: vars.clientSecret });
+    await hubspotApi.authenticate();
+    clients = { prolibuApi: new ProlibuApi({ apiKey: vars.apiKey }), hubspotApi };
+  }
+  return clients;
+}
+
+const handlers = {
+  afterCreate: async (source, config, event) => {
+    const { prolibuApi, hubspotApi } = await getClients();
+    const data = await DataMapper.mapWithConfig({ data: eventData.doc, config, event });
+    const created = await hubspotApi.create(config.target, data);
+    await prolibuApi.update(source, eventData.doc._id, hubspotApi.getRefData(config.target, created.id));
+    console.log(`✅ ${source} ${eventData.doc._id} → ${config.target} ${created.id}`);
+  },
+  afterUpdate: async (source, config, event) => {
+    const { refId } = eventData.doc;
+    if (!refId) return console.log(`⏭️ ${source} ${eventData.doc._id} has no refId, skipping update`);
+    const { hubspotApi } = await getClients();
+    const data = await DataMapper.mapWithConfig({ data: eventData.doc, config, event });
+    await hubspotApi.update(config.target, refId, data);
+    console.log(`✅ ${config.target} ${refId} updated`);
+  },
+  afterDelete: async (source, config) => {
+    const { refId } = eventData.doc;
+    if (!refId) return;
+    const { hubspotApi } = await getClients();
+    await hubspotApi.delete(config.target, refId);
+    console.log(`✅ ${config.target} ${refId} deleted`);
+  },
+};
+
+const events = Object.entries(handlers).map(([name, handler]) => ({ name, handler }));
+
+const integration = new OutboundIntegration([
+  { source: 'Contact', target: 'contacts', map: ContactMap, events },
+  { source: 'Company', target: 'companies', map: CompanyMap, events },
+  { source: 'Deal', target: 'deals', map: DealMap, events },
+]);
+
+(async function main() {
+  await integration.initialize();
+})();
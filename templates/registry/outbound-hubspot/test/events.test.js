@@ -0,0 +1,25 @@
+/**
+ * @jest-environment node
+ */
+/* global describe, it, expect */
+const { runEvent } = require('./helpers/runEvent');
+const DataMapper = require('../../../../lib/vendors/prolibu/DataMapper');
+const ContactMap = require('../../../../lib/vendors/hubspot/maps/ContactMap');
+const fixture = require('../events/Contact.afterCreate.json');
+
+describe('Prolibu → HubSpot', () => {
+  it('Should map a Prolibu Contact to HubSpot properties', async () => {
+    const mapped = await DataMapper.mapWithConfig({
+      data: fixture.eventData.doc,
+      config: { map: ContactMap },
+      event: { name: 'afterCreate' },
+    });
+    expect(mapped).toMatchObject({ firstname: 'John', lastname: 'Doe', email: 'john@example.com', jobtitle: 'CTO' });
+  });
+
+  it('Should fail fast when the HubSpot variables are missing', async () => {
+    const result = await runEvent('Contact.afterCreate');
+    expect(result.error).toContain('Missing required variables');
+    expect(result.error).toContain("'hubspot-accessToken'");
+  });
+});
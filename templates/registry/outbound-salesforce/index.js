@@ -0,0 +1,73 @@
+/**
+ * Prolibu Outbound Integration Template - Prolibu → Salesforce
+ *
+ * Creates, updates and deletes Salesforce records when Contacts, Companies and Deals change in
+ * Prolibu (lifecycleHooks in script.json). The Salesforce Id is stored on the Prolibu record as refId.
+ * Field maps live in lib/vendors/salesforce/maps; copy one into lib/ to customize it.
+ * Try it locally with ./script run --local --event Contact.afterCreate
+ */
+
+/* global eventData */
+
+const OutboundIntegration = require('../../../lib/vendors/prolibu/OutboundIntegration');
+const DataMapper = require('../../../lib/vendors/prolibu/DataMapper');
+const ProlibuApi = require('../../../lib/vendors/prolibu/ProlibuApi');
+const SalesforceApi = require('../../../lib/vendors/salesforce/SalesforceApi');
+const { getRequiredVars } = require('../../../lib/utils/variables');
+const ContactMap = require('../../../lib/vendors/salesforce/maps/ContactMap');
+const CompanyMap = require('../../../lib/vendors/salesforce/maps/CompanyMap');
+const DealMap = require('../../../lib/vendors/salesforce/maps/DealMap');
+
+// Clients are created on the first event, so a missing variable fails the run with a clear message
+let clients = null;
+async function getClients() {
+  if (!clients) {
+    const vars = getRequiredVars({
+      apiKey: 'prolibu-apiKey',
+      instanceUrl: 'salesforce-instanceUrl',
+      customerKey: 'salesforce-customerKey',
+      customerSecret: 'salesforce-customerSecret',
+    });
+    const salesforceApi = new SalesforceApi(vars);
+    await salesforceApi.authenticate();
+    clients = { prolibuApi: new ProlibuApi({ apiKey: vars.apiKey }), salesforceApi };
+  }
+  return clients;
+}
+
+const handlers = {
+  afterCreate: async (source, config, event) => {
+    const { prolibuApi, salesforceApi } = await getClients();
+    const data = await DataMapper.mapWithConfig({ data: eventData.doc, config, event });
+    const created = await salesforceApi.create(config.target, data);
+    await prolibuApi.update(source, eventData.doc._id, salesforceApi.getRefData(config.target, created.Id));
+    console.log(`✅ ${source} ${eventData.doc._id} → ${config.target} ${created.Id}`);
+  },
+  afterUpdate: async (source, config, event) => {
+    const { refId } = eventData.doc;
+    if (!refId) return console.log(`⏭️ ${source} ${eventData.doc._id} has no refId, skipping update`);
+    const { salesforceApi } = await getClients();
+    const data = await DataMapper.mapWithConfig({ data: eventData.doc, config, event });
+    await salesforceApi.update(config.target, refId, data);
+    console.log(`✅ ${config.target} ${refId} updated`);
+  },
+  afterDelete: async (source, config) => {
+    const { refId } = eventData.doc;
+    if (!refId) return;
+    const { salesforceApi } = await getClients();
+    await salesforceApi.delete(config.target, refId);
+    console.log(`✅ ${config.target} ${refId} deleted`);
+  },
+};
+
+const events = Object.entries(handlers).map(([name, handler]) => ({ name, handler }));
+
+const integration = new OutboundIntegration([
+  { source: 'Contact', target: 'Contact', map: ContactMap, events },
+  { source: 'Company', target: 'Account', map: CompanyMap, events },
+  { source: 'Deal', target: 'Opportunity', map: DealMap, events },
+]);
+
+(async function main() {
+  await integration.initialize();
+})();
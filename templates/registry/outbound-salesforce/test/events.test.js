@@ -0,0 +1,25 @@
+/**
+ * @jest-environment node
+ */
+/* global describe, it, expect */
+const { runEvent } = require('./helpers/runEvent');
+const DataMapper = require('../../../../lib/vendors/prolibu/DataMapper');
+const ContactMap = require('../../../../lib/vendors/salesforce/maps/ContactMap');
+const fixture = require('../events/Contact.afterCreate.json');
+
+describe('Prolibu → Salesforce', () => {
+  it('Should map a Prolibu Contact to Salesforce fields', async () => {
+    const mapped = await DataMapper.mapWithConfig({
+      data: fixture.eventData.doc,
+      config: { map: ContactMap },
+      event: { name: 'afterCreate' },
+    });
+    expect(mapped).toMatchObject({ FirstName: 'John', LastName: 'Doe', Email: 'john@example.com', Title: 'CTO' });
+  });
+
+  it('Should fail fast when the Salesforce variables are missing', async () => {
+    const result = await runEvent('Contact.afterCreate');
+    expect(result.error).toContain('Missing required variables');
+    expect(result.error).toContain("'salesforce-customerKey'");
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * Prolibu Scheduled Task Template - Periodic job
+ *
+ * Runs on the schedule in script.json (cron periodicity, inactive for dev) and processes the
+ * Contacts updated since the previous execution. Preview the next runs with ./script schedule,
+ * try it locally with ./script run --local --event ScheduledTask
+ */
+
+/* global eventData */
+
+const Events = require('../../../lib/vendors/prolibu/EventManager');
+const ProlibuApi = require('../../../lib/vendors/prolibu/ProlibuApi');
+const { getRequiredVars } = require('../../../lib/utils/variables');
+const { getSyncWindow } = require('./lib/syncWindow');
+
+Events.on('ScheduledTask', async () => {
+  const { apiKey } = getRequiredVars({ apiKey: 'prolibu-apiKey' });
+  const prolibuApi = new ProlibuApi({ apiKey });
+
+  const { from, to } = getSyncWindow(eventData);
+  console.log(`⏰ Processing Contacts updated between ${from} and ${to}`);
+
+  let processed = 0;
+  let page = 1;
+  let lastPage = 1;
+  do {
+    const result = await prolibuApi.find('Contact', {
+      xquery: { updatedAt: { $gte: from, $lt: to } },
+      select: 'firstName lastName email',
+      limit: 100,
+      page,
+    });
+    for (const contact of result.data) {
+      // Your job logic here
+      console.log(`- ${contact.email}`);
+      processed++;
+    }
+    lastPage = result.pagination.lastPage;
+    page++;
+  } while (page <= lastPage);
+
+  console.log(`✅ ${processed} Contact(s) processed`);
+  globalThis.output = { processed, from, to };
+});
+
+(async function main() {
+  await Events.init();
+})();
@@ -0,0 +1,17 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Time range a scheduled run should cover: from the previous execution to this one.
+ * The first run (no lastExecution) looks back initialDays
+ * @param {Object} eventData - ScheduledTask eventData ({ scheduledAt, lastExecution })
+ * @param {Object} [options]
+ * @param {number} [options.initialDays=1] - Range of the first run, in days
+ * @returns {{ from: string, to: string }} ISO 8601 dates
+ */
+function getSyncWindow({ scheduledAt, lastExecution } = {}, { initialDays = 1 } = {}) {
+  const to = scheduledAt ? new Date(scheduledAt) : new Date();
+  const from = lastExecution ? new Date(lastExecution) : new Date(to.getTime() - initialDays * DAY_MS);
+  return { from: from.toISOString(), to: to.toISOString() };
+}
+
+module.exports = { getSyncWindow };
@@ -0,0 +1,23 @@
+/**
+ * @jest-environment node
+ */
+/* global describe, it, expect */
+const { runEvent } = require('./helpers/runEvent');
+const { getSyncWindow } = require('../lib/syncWindow');
+
+describe('ScheduledTask', () => {
+  it('Should cover the time since the last execution', () => {
+    const window = getSyncWindow({ scheduledAt: '2025-10-16T02:00:00.000Z', lastExecution: '2025-10-15T02:00:00.000Z' });
+    expect(window).toEqual({ from: '2025-10-15T02:00:00.000Z', to: '2025-10-16T02:00:00.000Z' });
+  });
+
+  it('Should look back one day on the first execution', () => {
+    const window = getSyncWindow({ scheduledAt: '2025-10-16T02:00:00.000Z' });
+    expect(window.from).toBe('2025-10-15T02:00:00.000Z');
+  });
+
+  it('Should fail fast when prolibu-apiKey is missing', async () => {
+    const result = await runEvent('ScheduledTask');
+    expect(result.error).toContain("Missing required variables: 'prolibu-apiKey'");
+  });
+});
@@ -0,0 +1,44 @@
+/**
+ * Bundles the script and runs an events/ fixture in the local sandbox, like
+ * ./script run --local --event <fixture>, so handlers can be tested without uploading
+ */
+const path = require('path');
+const esbuild = require('esbuild');
+const { runLocalScript } = require('../../../../../cli/localRunner');
+const { loadManifest, resolveEnvironment } = require('../../../../../cli/manifest');
+
+const scriptFolder = path.join(__dirname, '..', '..');
+
+/**
+ * @param {string} fixture - File name in events/ without .json, e.g. 'ApiRun'
+ * @param {Object} [options]
+ * @param {Array<{key: string, value: *}>} [options.variables=[]] - Variables the sandbox sees
+ * @param {Object} [options.eventData] - Replaces the fixture's eventData
+ * @returns {Promise<Object>} { output, error, variables, ... } from runLocalScript
+ */
+async function runEvent(fixture, { variables = [], eventData } = {}) {
+  const { eventName, eventData: fixtureData } = require(path.join(scriptFolder, 'events', `${fixture}.json`));
+  const { outputFiles } = await esbuild.build({
+    entryPoints: [path.join(scriptFolder, 'index.js')],
+    bundle: true,
+    platform: 'node',
+    format: 'cjs',
+    write: false,
+    logLevel: 'silent',
+  });
+  const manifest = loadManifest(scriptFolder);
+  return runLocalScript({
+    code: outputFiles[0].text,
+    domain: process.env.DOMAIN || 'localhost',
+    scriptCode: `${process.env.SCRIPT_PREFIX || 'test'}-dev`,
+    env: 'dev',
+    variables,
+    lifecycleHooks: resolveEnvironment(manifest, 'dev').lifecycleHooks,
+    allowedBuiltins: manifest.build?.check?.allowedBuiltins,
+    eventName,
+    eventData: eventData || fixtureData,
+    timeoutMs: 10000,
+  });
+}
+
+module.exports = { runEvent };
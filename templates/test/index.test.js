@@ -22,9 +22,13 @@ let userApi;
 beforeAll(() => {
   if (!domain) throw new Error('DOMAIN env variable is required');
   if (!scriptPrefix) throw new Error('SCRIPT_CODE env variable is required');
-  if (!fs.existsSync(profilePath)) throw new Error(`profile.json not found at ${profilePath}`);
-  const profile = JSON.parse(fs.readFileSync(profilePath, 'utf8'));
-  apiKey = profile.apiKey;
+  // PROLIBU_API_KEY is set by `./script test` from --apikey, the environment or --profile
+  apiKey = process.env.PROLIBU_API_KEY;
+  if (!apiKey) {
+    if (!fs.existsSync(profilePath)) throw new Error(`profile.json not found at ${profilePath}`);
+    const profile = JSON.parse(fs.readFileSync(profilePath, 'utf8'));
+    apiKey = profile.apiKey;
+  }
   if (!apiKey) throw new Error('apiKey missing in profile.json');
   if (!apiKey.length) throw new Error('apiKey in profile.json is empty');
   
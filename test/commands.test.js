@@ -1,6 +1,6 @@
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
+const { execSync, spawnSync } = require('child_process');
 /* global describe, beforeAll, it, expect */
 
 const config = require('./config.json');
@@ -33,6 +33,7 @@ describe('Script Builder CLI Commands', () => {
       --domain ${config.domain} \
       --scriptPrefix ${scriptCode} \
       --repo ${config.repo} \
+      --template api-run \
       --lifecycleHooks "Contact" \
       --apikey ${config.apiKey}`;
     try {
@@ -50,23 +51,37 @@ describe('Script Builder CLI Commands', () => {
     it('should create all template files in the new script folder', () => {
       const expectedFiles = [
         'index.js',
-        'variables.json',
-        'lifecycleHooks.json',
+        'script.json',
         'lib',
-        'config.json',
-        'README.md'
+        'README.md',
+        'test/events.test.js',
+        'test/helpers/runEvent.js'
       ];
       expectedFiles.forEach(file => {
         expect(fs.existsSync(path.join(scriptFolder, file))).toBe(true);
       });
     });
 
-    it('should have lifecycleHooks.json with ["Contact"]', () => {
-      const hooksPath = path.join(scriptFolder, 'lifecycleHooks.json');
-      expect(fs.existsSync(hooksPath)).toBe(true);
-      const hooks = JSON.parse(fs.readFileSync(hooksPath, 'utf8'));
-      expect(Array.isArray(hooks)).toBe(true);
-      expect(hooks).toEqual(expect.arrayContaining(["Contact"]));
+    it('should have script.json with lifecycleHooks ["Contact"]', () => {
+      const manifestPath = path.join(scriptFolder, 'script.json');
+      expect(fs.existsSync(manifestPath)).toBe(true);
+      const { lifecycleHooks } = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+      expect(Array.isArray(lifecycleHooks)).toBe(true);
+      expect(lifecycleHooks).toEqual(expect.arrayContaining(["Contact"]));
+    });
+
+    it('should fail with exit code 1 for an unknown template', () => {
+      let templateError = null;
+      const cmd = `./script create --domain ${config.domain} --scriptPrefix hook-test-template \
+        --repo ${config.repo} --template does-not-exist --apikey ${config.apiKey} --yes`;
+      try {
+        execSync(cmd, { stdio: 'pipe' });
+      } catch (e) {
+        templateError = e;
+      }
+      expect(templateError.status).toBe(1);
+      expect(templateError.stderr.toString()).toContain("Template 'does-not-exist' not found");
+      expect(fs.existsSync(path.join(scriptFolder, '..', 'hook-test-template'))).toBe(false);
     });
 
     it('should exists the profile.json with correct apiKey', () => {
@@ -112,8 +127,8 @@ describe('Script Builder CLI Commands', () => {
         expect(remote.variables[0]).toHaveProperty('value', 'bar');
         
         expect(remote).toHaveProperty('code');
-        // Compare remote.code agains dist/bundle.js length
-        const distPath = path.join(scriptFolder, 'dist', 'bundle.js');
+        // Compare remote.code agains dist/dev/bundle.js length
+        const distPath = path.join(scriptFolder, 'dist', 'dev', 'bundle.js');
         expect(fs.existsSync(distPath)).toBe(true);
         const localCode = fs.readFileSync(distPath, 'utf8');
         expect(remote.code.length).toBe(localCode.length);
@@ -188,8 +203,8 @@ describe('Script Builder CLI Commands', () => {
         expect(response.status).toBe(200);
         
         expect(remote).toHaveProperty('code');
-        // Compare remote.code agains dist/bundle.js length
-        const distPath = path.join(scriptFolder, 'dist', 'bundle.js');
+        // Compare remote.code agains dist/dev/bundle.js length
+        const distPath = path.join(scriptFolder, 'dist', 'dev', 'bundle.js');
         expect(fs.existsSync(distPath)).toBe(true);
         const localCode = fs.readFileSync(distPath, 'utf8');
         expect(remote.code.length).toBe(localCode.length);
@@ -199,6 +214,307 @@ describe('Script Builder CLI Commands', () => {
     });
   });
 
+  describe('Run Command', () => {
+    it('should run the script in the local sandbox with --local', () => {
+      let runError = null;
+      let stdout = '';
+      const cmd = `./script run --domain ${config.domain} --scriptPrefix ${scriptCode} --local`;
+      try {
+        stdout = execSync(cmd, { encoding: 'utf8' });
+      } catch (e) {
+        runError = e;
+      }
+      expect(runError).toBeNull();
+      expect(stdout).toContain('hola mundo!');
+      expect(stdout).toContain('1980');
+    });
+
+    it('should print only NDJSON events on stdout with --json', () => {
+      const cmd = `./script run --domain ${config.domain} --scriptPrefix ${scriptCode} --local --json`;
+      const stdout = execSync(cmd, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] });
+      const events = stdout.trim().split('\n').map(line => JSON.parse(line));
+      const types = events.map(e => e.type);
+      expect(types).toEqual(expect.arrayContaining(['bundle', 'run-start', 'log', 'run-result']));
+      expect(types[types.length - 1]).toBe('exit');
+      const result = events.find(e => e.type === 'run-result');
+      expect(result).toHaveProperty('timeMs');
+    });
+
+    it('should record the local run and replay it with logs', () => {
+      const cmd = `./script logs --domain ${config.domain} --scriptPrefix ${scriptCode} --json`;
+      const stdout = execSync(cmd, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] });
+      const events = stdout.trim().split('\n').map(line => JSON.parse(line));
+      expect(events[0].type).toBe('run-start');
+      expect(events.some(e => e.type === 'log' && JSON.stringify(e.payload).includes('hola mundo!'))).toBe(true);
+      expect(events.some(e => e.type === 'run-result')).toBe(true);
+    });
+
+    it('should write a source map next to the bundle', () => {
+      const mapPath = path.join(scriptFolder, 'dist', 'dev', 'bundle.js.map');
+      expect(fs.existsSync(mapPath)).toBe(true);
+      const map = JSON.parse(fs.readFileSync(mapPath, 'utf8'));
+      expect(map.sources).toEqual(expect.arrayContaining(['../../index.js']));
+    });
+
+    it('should bundle a TypeScript entry file', () => {
+      const tsPath = path.join(scriptFolder, 'typed.ts');
+      fs.writeFileSync(tsPath, "const greeting: string = 'hola ts';\nconsole.log(greeting, env);\n");
+      try {
+        const cmd = `./script run --domain ${config.domain} --scriptPrefix ${scriptCode} --file typed --local`;
+        const stdout = execSync(cmd, { encoding: 'utf8' });
+        expect(stdout).toContain('hola ts');
+      } finally {
+        fs.unlinkSync(tsPath);
+      }
+    });
+
+    it('should only let the sandbox require allowed built-ins', async () => {
+      const { runLocalScript } = require('../cli/localRunner');
+      const run = (code, allowedBuiltins) => runLocalScript({ code, domain: config.domain, scriptCode: 'test-dev', env: 'dev', allowedBuiltins });
+      const allowed = await run("globalThis.output = require('crypto').createHash('sha1').update('a').digest('hex');");
+      expect(allowed.error).toBeNull();
+      expect(allowed.output).toBe('86f7e437faa5a7fce15d1ddcb9eaeaea377667b8');
+      const blocked = await run("require('fs').readFileSync('/etc/hostname');");
+      expect(blocked.error).toMatch(/Cannot find module 'fs'/);
+      expect((await run("require('esbuild');")).error).toMatch(/Cannot find module 'esbuild'/);
+      expect((await run("require('fs');", ['fs'])).error).toBeNull();
+    });
+  });
+
+  describe('Check Command', () => {
+    it('should pass the sandbox check and fail on an unavailable built-in', () => {
+      let checkError = null;
+      const cmd = `./script check --domain ${config.domain} --scriptPrefix ${scriptCode}`;
+      try {
+        execSync(cmd, { stdio: 'inherit' });
+      } catch (e) {
+        checkError = e;
+      }
+      expect(checkError).toBeNull();
+
+      const entryPath = path.join(scriptFolder, 'index.js');
+      const original = fs.readFileSync(entryPath, 'utf8');
+      try {
+        fs.writeFileSync(entryPath, `const fs = require('fs');\n${original}`);
+        execSync(`${cmd} --json`, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] });
+      } catch (e) {
+        checkError = e;
+      } finally {
+        fs.writeFileSync(entryPath, original);
+      }
+      expect(checkError.status).toBe(1);
+      const report = JSON.parse(checkError.stdout.trim().split('\n')[0]);
+      expect(report.problems.map(p => p.ruleId)).toContain('sandbox/no-unavailable-builtin');
+    });
+  });
+
+  describe('Analyze Command', () => {
+    it('should report bundle modules and fail when over the size budget', () => {
+      const manifestPath = path.join(scriptFolder, 'script.json');
+      const original = fs.readFileSync(manifestPath, 'utf8');
+      const cmd = `./script analyze --domain ${config.domain} --scriptPrefix ${scriptCode} --env dev --json`;
+      const stdout = execSync(cmd, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] });
+      const report = stdout.trim().split('\n').map(line => JSON.parse(line)).find(e => e.type === 'analyze');
+      expect(report.modules.map(m => m.module)).toEqual(expect.arrayContaining(['index.js']));
+      expect(report.overBudget).toBe(false);
+
+      let analyzeError = null;
+      try {
+        const manifest = JSON.parse(original);
+        fs.writeFileSync(manifestPath, JSON.stringify({ ...manifest, build: { ...manifest.build, sizeBudget: 10 } }));
+        execSync(cmd, { stdio: 'ignore' });
+      } catch (e) {
+        analyzeError = e;
+      } finally {
+        fs.writeFileSync(manifestPath, original);
+      }
+      expect(analyzeError.status).toBe(1);
+    });
+  });
+
+  describe('Pull Command', () => {
+    it('should pull the dev script into the local folder', () => {
+      let pullError = null;
+      const cmd = `./script pull --domain ${config.domain} --scriptPrefix ${scriptCode} --env dev --file pulled --force`;
+      try {
+        execSync(cmd, { stdio: 'inherit' });
+      } catch (e) {
+        pullError = e;
+      }
+      expect(pullError).toBeNull();
+
+      const pulledCode = fs.readFileSync(path.join(scriptFolder, 'pulled.js'), 'utf8');
+      const distCode = fs.readFileSync(path.join(scriptFolder, 'dist', 'dev', 'bundle.js'), 'utf8');
+      expect(pulledCode).toBe(distCode);
+      const { lifecycleHooks } = JSON.parse(fs.readFileSync(path.join(scriptFolder, 'script.json'), 'utf8'));
+      expect(lifecycleHooks).toEqual(expect.arrayContaining(["Contact"]));
+    });
+  });
+
+  describe('Local Repository', () => {
+    it('should create a script with git init and attach a remote later', () => {
+      const localPrefix = `hook-test-local-${Date.now()}`;
+      const localFolder = path.join(scriptFolder, '..', localPrefix);
+      execSync(`./script create --domain ${config.domain} --scriptPrefix ${localPrefix} --local \
+        --template api-run --apikey ${config.apiKey} --yes`, { stdio: 'inherit' });
+      expect(fs.existsSync(path.join(localFolder, '.git'))).toBe(true);
+      expect(fs.readFileSync(path.join(localFolder, '.gitignore'), 'utf8')).toContain('dist/');
+
+      execSync(`./script git remote set ${config.repo} --domain ${config.domain} --scriptPrefix ${localPrefix}`, { stdio: 'inherit' });
+      const remoteUrl = execSync('git remote get-url origin', { cwd: localFolder, encoding: 'utf8' }).trim();
+      expect(remoteUrl).toBe(config.repo);
+      const manifest = JSON.parse(fs.readFileSync(path.join(localFolder, 'script.json'), 'utf8'));
+      expect(manifest.git.repositoryUrl).toBe(config.repo);
+    });
+  });
+
+  describe('Script Manifest', () => {
+    it('should migrate config.json, variables and lifecycleHooks.json into script.json', () => {
+      const legacyPrefix = `hook-test-legacy-${Date.now()}`;
+      const legacyFolder = path.join(scriptFolder, '..', legacyPrefix);
+      fs.mkdirSync(legacyFolder, { recursive: true });
+      fs.writeFileSync(path.join(legacyFolder, 'index.js'), "output = variables.find(v => v.key === 'apiUrl').value;");
+      fs.writeFileSync(path.join(legacyFolder, 'config.json'), JSON.stringify({ removeComments: true, gitRepositoryUrl: config.repo }));
+      fs.writeFileSync(path.join(legacyFolder, 'variables.json'), JSON.stringify([{ key: 'apiUrl', value: 'shared' }]));
+      fs.writeFileSync(path.join(legacyFolder, 'variables.dev.json'), JSON.stringify([{ key: 'apiUrl', value: 'dev' }]));
+      fs.writeFileSync(path.join(legacyFolder, 'lifecycleHooks.json'), JSON.stringify(['Contact']));
+
+      // Read-only commands use the legacy files without migrating them
+      const stdout = execSync(`./script run --domain ${config.domain} --scriptPrefix ${legacyPrefix} --local --json`, { encoding: 'utf8' });
+      const result = stdout.trim().split('\n').map(line => JSON.parse(line)).find(e => e.type === 'run-result');
+      expect(result.output).toBe('dev');
+      expect(fs.existsSync(path.join(legacyFolder, 'script.json'))).toBe(false);
+      expect(fs.existsSync(path.join(legacyFolder, 'config.json'))).toBe(true);
+
+      execSync(`./script migrate --domain ${config.domain} --scriptPrefix ${legacyPrefix}`, { stdio: 'inherit' });
+      const manifest = JSON.parse(fs.readFileSync(path.join(legacyFolder, 'script.json'), 'utf8'));
+      expect(manifest.build.removeComments).toBe(true);
+      expect(manifest.git.repositoryUrl).toBe(config.repo);
+      expect(manifest.lifecycleHooks).toEqual(['Contact']);
+      expect(manifest.environments.dev.variables).toEqual([{ key: 'apiUrl', value: 'dev' }]);
+      ['config.json', 'variables.json', 'variables.dev.json', 'lifecycleHooks.json'].forEach(file => {
+        expect(fs.existsSync(path.join(legacyFolder, file))).toBe(false);
+      });
+    });
+
+    it('should fail with exit code 1 when script.json does not match the schema', () => {
+      const manifestPath = path.join(scriptFolder, 'script.json');
+      const original = fs.readFileSync(manifestPath, 'utf8');
+      let manifestError = null;
+      try {
+        fs.writeFileSync(manifestPath, JSON.stringify({ ...JSON.parse(original), environments: { prod: { active: 'yes' } } }));
+        execSync(`./script run --domain ${config.domain} --scriptPrefix ${scriptCode} --local`, { stdio: 'pipe' });
+      } catch (e) {
+        manifestError = e;
+      } finally {
+        fs.writeFileSync(manifestPath, original);
+      }
+      expect(manifestError.status).toBe(1);
+      expect(manifestError.stderr.toString()).toContain('environments.prod.active must be boolean');
+    });
+
+    it('should warn about plain text values only when they look like secrets', () => {
+      const manifestPath = path.join(scriptFolder, 'script.json');
+      const original = fs.readFileSync(manifestPath, 'utf8');
+      const cmd = `./script check --domain ${config.domain} --scriptPrefix ${scriptCode}`;
+      const run = () => spawnSync('sh', ['-c', cmd], { encoding: 'utf8' }).stderr;
+      let plainOutput;
+      let secretOutput;
+      try {
+        const manifest = JSON.parse(original);
+        fs.writeFileSync(manifestPath, JSON.stringify({ ...manifest, variables: [{ key: 'apiUrl', value: 'https://example.com' }] }));
+        plainOutput = run();
+        fs.writeFileSync(manifestPath, JSON.stringify({ ...manifest, variables: [{ key: 'apiToken', value: 'plain' }] }));
+        secretOutput = run();
+      } finally {
+        fs.writeFileSync(manifestPath, original);
+      }
+      expect(plainOutput).not.toContain('unencrypted secrets');
+      expect(secretOutput).toContain('unencrypted secrets (apiToken)');
+    });
+  });
+
+  describe('Schedule Command', () => {
+    const updateSchedule = (schedule, run) => {
+      const manifestPath = path.join(scriptFolder, 'script.json');
+      const original = fs.readFileSync(manifestPath, 'utf8');
+      try {
+        fs.writeFileSync(manifestPath, JSON.stringify({ ...JSON.parse(original), schedule }));
+        return run();
+      } finally {
+        fs.writeFileSync(manifestPath, original);
+      }
+    };
+
+    it('should preview the next runs of the schedule in its timezone', () => {
+      const stdout = updateSchedule({ periodicity: '30 9 * * 1-5', timezone: 'America/New_York' }, () =>
+        execSync(`./script schedule --domain ${config.domain} --scriptPrefix ${scriptCode} --count 3 --json`, { encoding: 'utf8' }));
+      const preview = stdout.trim().split('\n').map(line => JSON.parse(line)).find(e => e.type === 'schedule');
+      expect(preview.scriptCode).toBe(`${scriptCode}-prod`);
+      expect(preview.runs).toHaveLength(3);
+      preview.runs.forEach(run => {
+        expect(run).toMatch(/T09:30:00-0[45]:00$/);
+        expect([1, 2, 3, 4, 5]).toContain(new Date(run).getUTCDay());
+      });
+    });
+
+    it('should fail with exit code 1 on an invalid cron expression', () => {
+      let scheduleError = null;
+      try {
+        updateSchedule({ periodicity: '0 2 * * 8' }, () =>
+          execSync(`./script schedule --domain ${config.domain} --scriptPrefix ${scriptCode}`, { stdio: 'pipe' }));
+      } catch (e) {
+        scheduleError = e;
+      }
+      expect(scheduleError.status).toBe(1);
+      expect(scheduleError.stderr.toString()).toContain("day of week '8' is out of range 0-7");
+    });
+  });
+
+  describe('Endpoint Command', () => {
+    it('should reject endpoints that dev and prod would both serve', () => {
+      const manifestPath = path.join(scriptFolder, 'script.json');
+      const original = fs.readFileSync(manifestPath, 'utf8');
+      let endpointError = null;
+      try {
+        fs.writeFileSync(manifestPath, JSON.stringify({ ...JSON.parse(original), endpoints: [{ route: 'hook-test', method: 'POST' }] }));
+        execSync(`./script endpoint call hook-test --domain ${config.domain} --scriptPrefix ${scriptCode}`, { stdio: 'pipe' });
+      } catch (e) {
+        endpointError = e;
+      } finally {
+        fs.writeFileSync(manifestPath, original);
+      }
+      expect(endpointError.status).toBe(1);
+      expect(endpointError.stderr.toString()).toContain('POST hook-test would be served by both dev and prod');
+    });
+
+    it('should fail with exit code 1 when --body is not JSON', () => {
+      let endpointError = null;
+      try {
+        execSync(`./script endpoint call hook-test --domain ${config.domain} --scriptPrefix ${scriptCode} --body '{invalid'`, { stdio: 'pipe' });
+      } catch (e) {
+        endpointError = e;
+      }
+      expect(endpointError.status).toBe(1);
+      expect(endpointError.stderr.toString()).toContain('--body is not valid JSON');
+    });
+  });
+
+  describe('Non-interactive Mode', () => {
+    it('should fail with exit code 1 instead of prompting for a missing value', () => {
+      let nonInteractiveError = null;
+      const cmd = `./script status --yes --domain ${config.domain}`;
+      try {
+        execSync(cmd, { encoding: 'utf8', stdio: 'pipe' });
+      } catch (e) {
+        nonInteractiveError = e;
+      }
+      expect(nonInteractiveError).not.toBeNull();
+      expect(nonInteractiveError.status).toBe(1);
+      expect(nonInteractiveError.stderr).toContain('--scriptPrefix');
+    });
+  });
+
   describe('Prod Command', () => {
     it('should execute prod command "no --watch" without errors', () => {
       let prodError = null;
@@ -231,5 +547,303 @@ describe('Script Builder CLI Commands', () => {
         expect(remote.code).not.toContain('comment');
       });
     });
+
+    it('should report no prod drift with status after prod command', () => {
+      let statusError = null;
+      const cmd = `./script status --domain ${config.domain} --scriptPrefix ${scriptCode}`;
+      try {
+        execSync(cmd, { stdio: 'inherit' });
+      } catch (e) {
+        statusError = e;
+      }
+      expect(statusError).toBeNull();
+    });
+  });
+
+  describe('Promote Command', () => {
+    it('should promote the deployed dev script to prod and record a release', () => {
+      let promoteError = null;
+      const cmd = `./script promote --domain ${config.domain} --scriptPrefix ${scriptCode}`;
+      try {
+        execSync(cmd, { stdio: 'inherit' });
+      } catch (e) {
+        promoteError = e;
+      }
+      expect(promoteError).toBeNull();
+
+      const releases = JSON.parse(fs.readFileSync(path.join(scriptFolder, 'releases.json'), 'utf8'));
+      const release = releases[releases.length - 1];
+      expect(release).toHaveProperty('from', `${scriptCode}-dev`);
+      expect(release).toHaveProperty('to', `${scriptCode}-prod`);
+      expect(release.bundleHash).toMatch(/^[0-9a-f]{64}$/);
+      expect(fs.readFileSync(path.join(scriptFolder, '.gitignore'), 'utf8')).toContain('.snapshots/');
+    });
+
+    it('should upload the dev code to prod', () => {
+      const axios = require('axios');
+      const headers = { Authorization: `Bearer ${config.apiKey}` };
+      const getScript = env => axios.get(`https://${config.domain}/v2/script/${scriptCode}-${env}`, { headers });
+
+      return Promise.all([getScript('dev'), getScript('prod')]).then(([dev, prod]) => {
+        // api-run has minifyProductionCode: false, so the dev bundle is promoted unchanged
+        expect(prod.data.code).toBe(dev.data.code);
+      });
+    });
+  });
+
+  describe('Rollback Command', () => {
+    // Oldest archived prod snapshot, from the prod command
+    const readOldestSnapshot = () => {
+      const snapshotsDir = path.join(scriptFolder, '.snapshots', 'prod');
+      const [oldest] = fs.readdirSync(snapshotsDir).filter(file => file.endsWith('.json')).sort();
+      return JSON.parse(fs.readFileSync(path.join(snapshotsDir, oldest), 'utf8'));
+    };
+
+    it('should restore an archived prod snapshot', () => {
+      const snapshot = readOldestSnapshot();
+      let rollbackError = null;
+      const cmd = `./script rollback --domain ${config.domain} --scriptPrefix ${scriptCode} --env prod --to ${snapshot.id}`;
+      try {
+        execSync(cmd, { stdio: 'inherit' });
+      } catch (e) {
+        rollbackError = e;
+      }
+      expect(rollbackError).toBeNull();
+
+      const axios = require('axios');
+      const headers = { Authorization: `Bearer ${config.apiKey}` };
+      return axios.get(`https://${config.domain}/v2/script/${scriptCode}-prod`, { headers }).then(response => {
+        expect(response.data.code).toBe(snapshot.code);
+        expect(response.data.lifecycleHooks).toEqual(snapshot.lifecycleHooks);
+      });
+    });
+
+    it('should fail with exit code 1 for an unknown snapshot', () => {
+      let rollbackError = null;
+      const cmd = `./script rollback --domain ${config.domain} --scriptPrefix ${scriptCode} --env prod --to does-not-exist`;
+      try {
+        execSync(cmd, { stdio: 'pipe' });
+      } catch (e) {
+        rollbackError = e;
+      }
+      expect(rollbackError.status).toBe(1);
+      expect(rollbackError.stderr.toString()).toContain("Snapshot 'does-not-exist' not found");
+    });
+  });
+
+  describe('Secret Command', () => {
+    const secretArgs = `--domain ${config.domain} --scriptPrefix ${scriptCode} --env prod`;
+    let snapshotId;
+
+    it('should encrypt a value in script.json and archive it encrypted on upload', () => {
+      execSync(`./script secret set rotateCheck s3cret ${secretArgs}`, { stdio: 'inherit' });
+      const manifest = JSON.parse(fs.readFileSync(path.join(scriptFolder, 'script.json'), 'utf8'));
+      const stored = manifest.environments.prod.variables.find(v => v.key === 'rotateCheck');
+      expect(stored.value).toMatch(/^enc:/);
+
+      execSync(`./script prod --domain ${config.domain} --scriptPrefix ${scriptCode}`, { stdio: 'inherit' });
+      const snapshotsDir = path.join(scriptFolder, '.snapshots', 'prod');
+      const latest = fs.readdirSync(snapshotsDir).filter(file => file.endsWith('.json')).sort().pop();
+      const snapshot = JSON.parse(fs.readFileSync(path.join(snapshotsDir, latest), 'utf8'));
+      expect(snapshot.variables.find(v => v.key === 'rotateCheck').value).toMatch(/^enc:/);
+      snapshotId = snapshot.id;
+    });
+
+    it('should rotate the key and keep values and snapshots readable', () => {
+      let rotateError = null;
+      try {
+        execSync(`./script secret rotate --domain ${config.domain}`, { stdio: 'inherit' });
+      } catch (e) {
+        rotateError = e;
+      }
+      expect(rotateError).toBeNull();
+
+      const value = execSync(`./script secret get rotateCheck ${secretArgs}`, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] });
+      expect(value.trim()).toBe('s3cret');
+
+      // The snapshot archived before the rotation was re-encrypted with the new key
+      execSync(`./script rollback ${secretArgs} --to ${snapshotId}`, { stdio: 'inherit' });
+      const axios = require('axios');
+      const headers = { Authorization: `Bearer ${config.apiKey}` };
+      return axios.get(`https://${config.domain}/v2/script/${scriptCode}-prod`, { headers }).then(response => {
+        expect(response.data.variables.find(v => v.key === 'rotateCheck').value).toBe('s3cret');
+      });
+    });
+  });
+
+  describe('Watch Change Queue', () => {
+    const { createChangeQueue, createUploadTracker } = require('../cli/changeQueue');
+    const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+    const change = filePath => ({ kind: 'code', filePath, changeType: 'change' });
+
+    it('should debounce changes into one batch listing every file once', async () => {
+      const batches = [];
+      const queue = createChangeQueue(async changes => { batches.push(changes); }, { debounceMs: 20 });
+      queue.push(change('index.js'));
+      queue.push(change('lib/a.js'));
+      queue.push(change('index.js'));
+      await wait(100);
+      expect(batches).toHaveLength(1);
+      expect(batches[0].map(c => c.filePath)).toEqual(['lib/a.js', 'index.js']);
+    });
+
+    it('should skip fields whose value was already uploaded', async () => {
+      const sent = [];
+      const tracker = createUploadTracker(async (field, value) => { sent.push([field, value]); });
+      expect(await tracker.upload('code', 'v1')).toBe(true);
+      expect(await tracker.upload('code', 'v1')).toBe(false);
+      const batch = tracker.batch();
+      expect(await batch.upload('code', 'v2')).toBe(true);
+      batch.commit();
+      expect(await tracker.batch().upload('code', 'v2')).toBe(false);
+      expect(sent).toEqual([['code', 'v1'], ['code', 'v2']]);
+    });
+
+    it('should still run the upload of a batch aborted during the upload loop', async () => {
+      const runs = [];
+      let aborts = 0;
+      const tracker = createUploadTracker(() => wait(30));
+      // Same flow as the watch mode batch: upload changed fields, stop when aborted, then run
+      const queue = createChangeQueue(async (changes, signal) => {
+        const batch = tracker.batch();
+        const uploads = [];
+        for (const [field, value] of [['code', 'bundle v1'], ['variables', []]]) {
+          if (signal.aborted) return;
+          if (await batch.upload(field, value)) uploads.push(field);
+        }
+        if (signal.aborted || !uploads.length) return;
+        runs.push({ files: changes.map(c => c.filePath), uploads });
+        batch.commit();
+      }, { debounceMs: 10, onAbort: () => { aborts++; } });
+
+      queue.push(change('index.js'));
+      // Lands while 'code' is uploading; the rebuild gives the same bundle
+      await wait(25);
+      queue.push(change('lib/a.js'));
+      await wait(250);
+      expect(aborts).toBe(1);
+      expect(runs).toEqual([{ files: ['index.js', 'lib/a.js'], uploads: ['code', 'variables'] }]);
+    });
+  });
+
+  describe('Variable Layers', () => {
+    const os = require('os');
+    const { loadVariables, findRequiredVariables, findMissingVariables } = require('../cli/variables');
+
+    it('should merge script.json environment variables and variables.secret.json over the shared ones', () => {
+      const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'variables-'));
+      try {
+        fs.writeFileSync(path.join(folder, 'script.json'), JSON.stringify({
+          variables: [{ key: 'baseUrl', value: 'https://shared' }, { key: 'token', value: '' }],
+          environments: { prod: { variables: [{ key: 'baseUrl', value: 'https://prod' }] } },
+        }));
+        fs.writeFileSync(path.join(folder, 'variables.secret.json'), JSON.stringify([{ key: 'token', value: 'abc' }]));
+        expect(loadVariables(folder, 'prod')).toEqual([
+          { key: 'baseUrl', value: 'https://prod' },
+          { key: 'token', value: 'abc' },
+        ]);
+        expect(loadVariables(folder, 'dev')).toContainEqual({ key: 'baseUrl', value: 'https://shared' });
+      } finally {
+        fs.rmSync(folder, { recursive: true, force: true });
+      }
+    });
+
+    it('should report required variables that are missing or empty', () => {
+      const code = "const { apiKey, portalId } = getRequiredVars({ apiKey: 'hubspotApiKey', portalId: `hubspotPortalId` });";
+      const required = findRequiredVariables(code);
+      expect(required).toEqual(['hubspotApiKey', 'hubspotPortalId']);
+      expect(findMissingVariables([{ key: 'hubspotApiKey', value: '' }], required)).toEqual(['hubspotApiKey', 'hubspotPortalId']);
+      expect(findMissingVariables([{ key: 'hubspotApiKey', value: 'k' }, { key: 'hubspotPortalId', value: 1 }], required)).toEqual([]);
+    });
+
+    it('should stop run --local before running when a required variable is missing', () => {
+      const entryPath = path.join(scriptFolder, 'required.js');
+      fs.writeFileSync(entryPath, "const vars = getRequiredVars({ key: 'missingTestVariable' });\nconsole.log(vars);\n");
+      try {
+        const cmd = `./script run --domain ${config.domain} --scriptPrefix ${scriptCode} --file required --local`;
+        const result = spawnSync('sh', ['-c', cmd], { encoding: 'utf8' });
+        expect(result.status).toBe(1);
+        expect(result.stderr).toContain('missingTestVariable');
+      } finally {
+        fs.unlinkSync(entryPath);
+      }
+    });
+  });
+
+  describe('Tail Command', () => {
+    it('should reject an unknown --level before connecting', () => {
+      const cmd = `./script tail ${scriptCode}-dev --domain ${config.domain} --apikey ${config.apiKey} --level verbose`;
+      const result = spawnSync('sh', ['-c', cmd], { encoding: 'utf8' });
+      expect(result.status).toBe(1);
+      expect(result.stderr).toContain("Invalid --level 'verbose'");
+    });
+
+    it('should exit with an error when the script does not exist', () => {
+      const cmd = `./script tail hook-test-missing-prod --domain ${config.domain} --apikey ${config.apiKey}`;
+      const result = spawnSync('sh', ['-c', cmd], { encoding: 'utf8', timeout: 30000 });
+      expect(result.status).toBe(1);
+      expect(result.stderr).toContain("Script 'hook-test-missing-prod' not found");
+    });
+  });
+
+  describe('History Command', () => {
+    it('should reject an invalid time range', () => {
+      const cmd = `./script history ${scriptCode}-dev --domain ${config.domain} --apikey ${config.apiKey} --since yesterday`;
+      const result = spawnSync('sh', ['-c', cmd], { encoding: 'utf8' });
+      expect(result.status).toBe(1);
+      expect(result.stderr).toContain("Invalid time range 'yesterday'");
+    });
+
+    it('should reject a page that is not a positive integer', () => {
+      const cmd = `./script history ${scriptCode}-dev --domain ${config.domain} --apikey ${config.apiKey} --page 0`;
+      const result = spawnSync('sh', ['-c', cmd], { encoding: 'utf8' });
+      expect(result.status).toBe(1);
+      expect(result.stderr).toContain('--page and --limit must be positive integers');
+    });
+
+    it('should emit a history-page event for the searched range with --json', () => {
+      const cmd = `./script history ${scriptCode}-dev --domain ${config.domain} --since 1h --limit 5 --json`;
+      const stdout = execSync(cmd, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] });
+      const events = stdout.trim().split('\n').map(line => JSON.parse(line));
+      const page = events.find(e => e.type === 'history-page');
+      expect(page).toMatchObject({ scriptCode: `${scriptCode}-dev`, page: 1 });
+      expect(page.count).toBeLessThanOrEqual(5);
+    });
+  });
+
+  describe('Incremental Bundling', () => {
+    const { createBundleContext } = require('../cli/commands');
+
+    it('should list the import graph without node_modules and rebuild after an edit', async () => {
+      const folder = path.join(__dirname, '..', 'accounts', config.domain, `hook-test-bundle-${Date.now()}`);
+      const entryPath = path.join(folder, 'index.js');
+      const helperPath = path.join(folder, 'lib', 'helper.js');
+      fs.mkdirSync(path.dirname(helperPath), { recursive: true });
+      fs.writeFileSync(helperPath, "module.exports = () => 'helper-v1';\n");
+      fs.writeFileSync(entryPath, [
+        "const { handleAxiosError } = require('../../../lib/vendors/prolibu/utils');",
+        "const _ = require('lodash');",
+        "const helper = require('./lib/helper');",
+        'console.log(helper(), _.isEmpty({}), typeof handleAxiosError);',
+        '',
+      ].join('\n'));
+      const bundler = await createBundleContext(entryPath, path.join(folder, 'dist', 'bundle.js'), false, false);
+      try {
+        const first = await bundler.rebuild();
+        expect(first.inputs).toEqual(expect.arrayContaining([
+          entryPath,
+          helperPath,
+          path.join(__dirname, '..', 'lib', 'vendors', 'prolibu', 'utils.js'),
+        ]));
+        expect(first.inputs.some(input => input.includes('node_modules'))).toBe(false);
+        fs.writeFileSync(helperPath, "module.exports = () => 'helper-v2';\n");
+        const second = await bundler.rebuild();
+        expect(second.code).toContain('helper-v2');
+        expect(second.code).not.toContain('helper-v1');
+      } finally {
+        await bundler.dispose();
+        fs.rmSync(folder, { recursive: true, force: true });
+      }
+    });
   });
 });
\ No newline at end of file
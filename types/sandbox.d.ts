@@ -0,0 +1,208 @@
+/**
+ * Globals of the Prolibu script sandbox, for editors and `tsc --noEmit`.
+ *
+ * The server (and `./script run --local`, see cli/localRunner.js) runs every script with these
+ * globals and nothing else from Node: no fs, no __dirname, no fetch. `./script check` lints
+ * against the same list (SANDBOX_GLOBALS in cli/sandboxCheck.js).
+ *
+ * eventData depends on the event that started the run (docs/events). Narrow it with
+ * Prolibu.EventDataFor:
+ *
+ *   const { query, body } = eventData as Prolibu.EventDataFor<'ApiRun'>;
+ *   const { doc, beforeUpdateDoc } = eventData as Prolibu.EventDataFor<'Contact.afterUpdate'>;
+ */
+
+import type { AxiosStatic } from 'axios';
+
+declare global {
+  namespace Prolibu {
+    /** A script variable as stored in script.json and uploaded to the script */
+    interface Variable {
+      key: string;
+      value: any;
+    }
+
+    /** Record of any Prolibu model (Contact, Company, Deal...) */
+    interface Doc {
+      _id: string;
+      createdAt?: string;
+      updatedAt?: string;
+      [field: string]: any;
+    }
+
+    /** ApiRun: POST /v2/script/run (docs/events/01-api-run.md) */
+    interface ApiRunEventData {
+      /** URL query parameters */
+      query: Record<string, any>;
+      /** Request body */
+      body: Record<string, any>;
+    }
+
+    /** ScheduledTask: runs on the script's periodicity (docs/events/02-scheduled-task.md) */
+    interface ScheduledTaskEventData {
+      /** When this execution was scheduled (ISO 8601) */
+      scheduledAt: string;
+      /** Cron expression */
+      periodicity: string;
+      /** Number of times this script has run */
+      executionCount: number;
+      /** Last successful execution (ISO 8601) */
+      lastExecution: string;
+      body?: Record<string, any>;
+    }
+
+    /** The custom endpoint that received an EndpointRequest */
+    interface Endpoint {
+      _id: string;
+      endpointCode: string;
+      endpointName: string;
+      routeName: string;
+      url: string;
+      method: 'GET' | 'POST' | 'PUT' | 'PATCH' | 'DELETE';
+    }
+
+    /** EndpointRequest: a call to /v2/endpoint/<method>/<route> (docs/events/03-endpoint-request.md) */
+    interface EndpointRequestEventData {
+      endpoint: Endpoint;
+      /** Whether the request was authenticated */
+      authenticated: boolean;
+      headers: Record<string, string>;
+      query: Record<string, any>;
+      body: Record<string, any>;
+      /** URL path parameters */
+      params: Record<string, string>;
+      /** Client IP address */
+      ip: string;
+    }
+
+    type LifecycleHookType = 'beforeCreate' | 'afterCreate' | 'beforeUpdate' | 'afterUpdate' | 'beforeDelete' | 'afterDelete';
+
+    /** Lifecycle hooks: '<Model>.<hookType>' events (docs/events/04-lifecycle-hooks.md) */
+    interface LifecycleEventData {
+      /** The entity document; after an update, its new state */
+      doc: Doc;
+      hookType: LifecycleHookType;
+      /** Model name, e.g. 'Contact' */
+      objectName: string;
+    }
+
+    /** beforeUpdate / afterUpdate */
+    interface UpdateEventData extends LifecycleEventData {
+      /** State before the update */
+      beforeUpdateDoc: Doc;
+      /** Only the fields that changed */
+      payload: Record<string, any>;
+    }
+
+    /** eventData per eventName */
+    type EventDataFor<Name extends string> =
+      Name extends 'ApiRun' ? ApiRunEventData :
+      Name extends 'ScheduledTask' ? ScheduledTaskEventData :
+      Name extends 'EndpointRequest' ? EndpointRequestEventData :
+      Name extends `${string}.${'beforeUpdate' | 'afterUpdate'}` ? UpdateEventData :
+      Name extends `${string}.${LifecycleHookType}` ? LifecycleEventData :
+      never;
+
+    type EventData = ApiRunEventData | ScheduledTaskEventData | EndpointRequestEventData | LifecycleEventData | UpdateEventData;
+
+    /** Output of the sandbox console, streamed to the CLI through the scriptLog socket */
+    interface Console {
+      log(...args: any[]): void;
+      info(...args: any[]): void;
+      warn(...args: any[]): void;
+      error(...args: any[]): void;
+      debug(...args: any[]): void;
+      dir(...args: any[]): void;
+    }
+  }
+
+  /** Event that started the run: 'ApiRun', 'ScheduledTask', 'EndpointRequest' or '<Model>.<hookType>' */
+  const eventName: string;
+  /** Data of the event that started the run; narrow it with Prolibu.EventDataFor<'...'> */
+  const eventData: Prolibu.EventData;
+  /** 'dev' or 'prod' */
+  const env: 'dev' | 'prod';
+  /** Script code of this run, e.g. 'my-script-dev' */
+  const scriptCode: string;
+  /** Domain the script runs on, e.g. 'dev10.prolibu.com' */
+  const localDomain: string;
+  /** Variables merged from script.json (shared, then environments.<env>) and variables.secret.json */
+  const variables: Prolibu.Variable[];
+  /** Models whose lifecycle hooks trigger this script (lifecycleHooks in script.json) */
+  const lifecycleHooks: string[];
+  /** axios instance for HTTP requests (the sandbox has no fetch) */
+  const axios: AxiosStatic;
+  /** Saves a variable on the script so the next runs see it (e.g. cached OAuth tokens) */
+  function setVariable(key: string, value: any): Promise<any>;
+  /** Value returned by /v2/script/run as `output` */
+  let output: any;
+
+  const console: Prolibu.Console;
+  const process: { env: Record<string, string | undefined> };
+  const global: typeof globalThis;
+  function require(id: string): any;
+  const module: { exports: any };
+  let exports: any;
+
+  function setTimeout(callback: (...args: any[]) => void, ms?: number, ...args: any[]): any;
+  function clearTimeout(handle: any): void;
+  function setInterval(callback: (...args: any[]) => void, ms?: number, ...args: any[]): any;
+  function clearInterval(handle: any): void;
+  function setImmediate(callback: (...args: any[]) => void, ...args: any[]): any;
+  function clearImmediate(handle: any): void;
+
+  interface Buffer extends Uint8Array {
+    toString(encoding?: 'utf8' | 'utf-8' | 'hex' | 'base64' | 'base64url' | 'latin1' | 'binary' | 'ascii'): string;
+    toJSON(): { type: 'Buffer'; data: number[] };
+    equals(other: Uint8Array): boolean;
+  }
+  const Buffer: {
+    from(data: string, encoding?: 'utf8' | 'utf-8' | 'hex' | 'base64' | 'base64url' | 'latin1' | 'binary' | 'ascii'): Buffer;
+    from(data: ArrayBuffer | Uint8Array | readonly number[]): Buffer;
+    alloc(size: number, fill?: string | number): Buffer;
+    concat(list: readonly Uint8Array[], totalLength?: number): Buffer;
+    byteLength(value: string | ArrayBuffer | Uint8Array, encoding?: string): number;
+    isBuffer(value: any): value is Buffer;
+  };
+
+  class URLSearchParams {
+    constructor(init?: string | Record<string, string> | [string, string][]);
+    append(name: string, value: string): void;
+    delete(name: string): void;
+    get(name: string): string | null;
+    getAll(name: string): string[];
+    has(name: string): boolean;
+    set(name: string, value: string): void;
+    forEach(callback: (value: string, name: string) => void): void;
+    entries(): IterableIterator<[string, string]>;
+    toString(): string;
+  }
+  class URL {
+    constructor(url: string, base?: string | URL);
+    hash: string;
+    host: string;
+    hostname: string;
+    href: string;
+    readonly origin: string;
+    password: string;
+    pathname: string;
+    port: string;
+    protocol: string;
+    search: string;
+    readonly searchParams: URLSearchParams;
+    username: string;
+    toString(): string;
+    toJSON(): string;
+  }
+  class TextEncoder {
+    readonly encoding: 'utf-8';
+    encode(input?: string): Uint8Array;
+  }
+  class TextDecoder {
+    constructor(label?: string, options?: { fatal?: boolean; ignoreBOM?: boolean });
+    readonly encoding: string;
+    decode(input?: ArrayBuffer | ArrayBufferView): string;
+  }
+}
+
+export {};